@@ -0,0 +1,260 @@
+// Citation exports for publications: BibTeX, RIS and CSL-JSON, built from the fields
+// LiveRender.items.publication gives each item. Loaded as window.LiveCite in the browser
+// (after live-render.js) and with require() from Node scripts.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./live-render.js"));
+  } else {
+    root.LiveCite = factory(root.LiveRender);
+  }
+})(typeof self !== "undefined" ? self : this, (LiveRender) => {
+  const { escapeHtml } = LiveRender;
+
+  // "J Donovan" or "Joseph Donovan": the last word is taken as the family name. A trailing
+  // "..." (Google Scholar shortens long author lists) marks the list as truncated.
+  const parseAuthors = (authors) => {
+    const names = String(authors || "").split(/\s*,\s*/).map((name) => name.trim()).filter(Boolean);
+    const truncated = names.length > 0 && /^(\.\.\.|…)$/.test(names[names.length - 1]);
+    const people = (truncated ? names.slice(0, -1) : names).map((name) => {
+      const words = name.split(/\s+/);
+      return words.length > 1
+        ? { family: words[words.length - 1], given: words.slice(0, -1).join(" ") }
+        : { family: name, given: "" };
+    });
+    return { people, truncated };
+  };
+
+  // Google Scholar venues read "Journal 20 (3), 299-307, 2020"; split out volume, issue and
+  // pages where they follow that shape and keep anything else as the journal name
+  const parseVenue = (venue) => {
+    let rest = String(venue || "").trim().replace(/,\s*\d{4}$/, "");
+    const parts = { container: "", volume: "", issue: "", pages: "" };
+    const pages = rest.match(/^(.*\S),\s*([A-Za-z]?\d[\w.]*(?:\s*[-–]\s*[A-Za-z]?\d[\w.]*)?)$/);
+    if (pages) {
+      parts.pages = pages[2].replace(/\s*[-–]\s*/, "-");
+      rest = pages[1];
+    }
+    const volume = rest.match(/^(.*\S)\s+(\d+)(?:\s*\(([^)]+)\))?$/);
+    if (volume) {
+      parts.volume = volume[2];
+      parts.issue = volume[3] || "";
+      rest = volume[1];
+    }
+    parts.container = rest;
+    return parts;
+  };
+
+  const ascii = (text) => String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[đĐ]/g, "d")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+
+  // One reference per publication, in the shape every format below writes from
+  const reference = (fields) => {
+    const { people, truncated } = parseAuthors(fields.authors);
+    const venue = parseVenue(fields.venue);
+    const year = (String(fields.year || "").match(/\d{4}/) || [""])[0];
+    const [firstPage = "", lastPage = ""] = venue.pages.split("-");
+    return {
+      title: fields.title || "",
+      authors: people,
+      truncated,
+      container: venue.container,
+      volume: venue.volume,
+      issue: venue.issue,
+      pages: venue.pages,
+      firstPage,
+      lastPage,
+      year,
+      url: fields.url || "",
+      doi: fields.doi || "",
+      pmid: fields.pmid || "",
+      pmcid: fields.pmcid || "",
+      type: venue.container ? "article" : "misc"
+    };
+  };
+
+  // Citation keys like "donovan2020xpert", with a/b/... appended on collisions
+  const citationKeys = (references) => {
+    const seen = new Map();
+    return references.map((ref) => {
+      const author = ref.authors.length ? ascii(ref.authors[0].family) : "anon";
+      const word = ref.title.split(/\s+/).map(ascii).find((part) => part.length > 3) || "";
+      const base = `${author}${ref.year}${word}`;
+      const count = seen.get(base) || 0;
+      seen.set(base, count + 1);
+      return count ? `${base}${String.fromCharCode(96 + count)}` : base;
+    });
+  };
+
+  const bibtexValue = (value) => String(value).replace(/([{}&%$#_])/g, "\\$1");
+
+  const bibtex = (fieldsList) => {
+    const references = fieldsList.map(reference);
+    const keys = citationKeys(references);
+    return references.map((ref, index) => {
+      const authors = ref.authors.map((person) => (person.given ? `${person.family}, ${person.given}` : person.family));
+      if (ref.truncated) authors.push("others");
+      const entries = [
+        ["author", authors.join(" and ")],
+        ["title", ref.title],
+        ["journal", ref.container],
+        ["volume", ref.volume],
+        ["number", ref.issue],
+        ["pages", ref.pages.replace("-", "--")],
+        ["year", ref.year],
+        ["doi", ref.doi],
+        ["pmid", ref.pmid],
+        ["pmcid", ref.pmcid],
+        ["url", ref.url]
+      ].filter(([, value]) => value);
+      const body = entries
+        .map(([name, value]) => `  ${name} = {${name === "url" || name === "doi" ? value : bibtexValue(value)}}`)
+        .join(",\n");
+      return `@${ref.type}{${keys[index]},\n${body}\n}`;
+    }).join("\n\n") + "\n";
+  };
+
+  const ris = (fieldsList) => fieldsList.map(reference).map((ref) => {
+    const lines = [
+      ["TY", ref.type === "article" ? "JOUR" : "GEN"],
+      ...ref.authors.map((person) => ["AU", person.given ? `${person.family}, ${person.given}` : person.family]),
+      ["TI", ref.title],
+      ["JO", ref.container],
+      ["VL", ref.volume],
+      ["IS", ref.issue],
+      ["SP", ref.firstPage],
+      ["EP", ref.lastPage],
+      ["PY", ref.year],
+      ["DO", ref.doi],
+      ["AN", ref.pmid ? `PMID: ${ref.pmid}` : ""],
+      ["UR", ref.url]
+    ].filter(([, value]) => value);
+    return [...lines, ["ER", ""]].map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join("\r\n");
+  }).join("\r\n\r\n") + "\r\n";
+
+  const cslItems = (fieldsList) => {
+    const references = fieldsList.map(reference);
+    const keys = citationKeys(references);
+    return references.map((ref, index) => {
+      const item = {
+        id: keys[index],
+        type: ref.type === "article" ? "article-journal" : "article",
+        title: ref.title,
+        author: ref.authors.map((person) => (person.given ? { family: person.family, given: person.given } : { literal: person.family }))
+      };
+      if (ref.container) item["container-title"] = ref.container;
+      if (ref.volume) item.volume = ref.volume;
+      if (ref.issue) item.issue = ref.issue;
+      if (ref.pages) item.page = ref.pages;
+      if (ref.year) item.issued = { "date-parts": [[Number(ref.year)]] };
+      if (ref.doi) item.DOI = ref.doi;
+      if (ref.pmid) item.PMID = ref.pmid;
+      if (ref.pmcid) item.PMCID = ref.pmcid;
+      if (ref.url) item.URL = ref.url;
+      return item;
+    });
+  };
+
+  const cslJson = (fieldsList) => `${JSON.stringify(cslItems(fieldsList), null, 2)}\n`;
+
+  // Export formats: menu label, file extension, MIME type and writer
+  const formats = {
+    bibtex: { label: "BibTeX", extension: "bib", type: "application/x-bibtex", render: bibtex },
+    ris: { label: "RIS", extension: "ris", type: "application/x-research-info-systems", render: ris },
+    csl: { label: "CSL-JSON", extension: "json", type: "application/vnd.citationstyles.csl+json", render: cslJson }
+  };
+
+  // Formatted citations for the publication list
+
+  // "NH" (Google Scholar runs initials together), "N Duc" or "Joseph" -> ["N", "H"], ["N", "D"], ["J"]
+  const initials = (given) => String(given || "").split(/[\s.]+/).filter(Boolean).flatMap((word) => (
+    word.length <= 4 && word === word.toUpperCase() ? [...word] : [[...word][0].toUpperCase()]
+  ));
+
+  // Text ended with a full stop unless it already has closing punctuation ("et al.", "…")
+  const sentence = (text) => (/[.?!…]$/.test(text) ? text : `${text}.`);
+
+  const authorList = (ref, name, { max = Infinity, shown = max, separator = ", ", last = separator, etAl = ", et al." } = {}) => {
+    const names = ref.authors.map(name);
+    if (!names.length) return "";
+    if (ref.truncated || names.length > max) return `${names.slice(0, shown).join(separator)}${etAl}`;
+    return names.length === 1 ? names[0] : `${names.slice(0, -1).join(separator)}${last}${names[names.length - 1]}`;
+  };
+
+  const enDash = (pages) => pages.replace("-", "–");
+
+  // Each style has a `label` and `format(ref)`, which returns escaped HTML
+  const styles = {
+    apa: {
+      label: "APA",
+      format: (ref) => {
+        const authors = authorList(ref, (person) => [person.family, initials(person.given).map((letter) => `${letter}.`).join(" ")].filter(Boolean).join(", "),
+          { max: 20, shown: 19, last: ", & " });
+        const date = `(${escapeHtml(ref.year || "n.d.")}).`;
+        const source = ref.container
+          ? ` <em>${escapeHtml(ref.container)}</em>${ref.volume ? `, <em>${escapeHtml(ref.volume)}</em>` : ""}${ref.issue ? `(${escapeHtml(ref.issue)})` : ""}${ref.pages ? `, ${escapeHtml(enDash(ref.pages))}` : ""}.`
+          : "";
+        const title = ref.container ? escapeHtml(sentence(ref.title)) : `<em>${escapeHtml(sentence(ref.title))}</em>`;
+        const doi = ref.doi ? ` https://doi.org/${escapeHtml(ref.doi)}` : "";
+        return authors ? `${escapeHtml(authors)} ${date} ${title}${source}${doi}` : `${title} ${date}${source}${doi}`;
+      }
+    },
+    vancouver: {
+      label: "Vancouver",
+      format: (ref) => {
+        const authors = authorList(ref, (person) => `${person.family} ${initials(person.given).join("")}`.trim(), { max: 6 });
+        const issue = `${ref.volume ? `;${ref.volume}` : ""}${ref.issue ? `(${ref.issue})` : ""}${ref.pages ? `:${ref.pages}` : ""}`;
+        const parts = [
+          authors ? sentence(authors) : "",
+          sentence(ref.title),
+          ref.container ? `${ref.container}.` : "",
+          ref.year || issue ? `${ref.year}${issue}.` : "",
+          ref.doi ? `doi:${ref.doi}` : "",
+          ref.pmid ? `PMID: ${ref.pmid}.` : ""
+        ];
+        return escapeHtml(parts.filter(Boolean).join(" "));
+      }
+    },
+    harvard: {
+      label: "Harvard",
+      format: (ref) => {
+        const authors = authorList(ref, (person) => [person.family, initials(person.given).map((letter) => `${letter}.`).join("")].filter(Boolean).join(", "),
+          { max: 3, shown: 1, last: " and ", etAl: " et al." });
+        const pages = ref.pages ? `, ${ref.pages.includes("-") ? "pp." : "p."} ${enDash(ref.pages)}` : "";
+        const source = ref.container
+          ? `‘${escapeHtml(ref.title)}’, <em>${escapeHtml(ref.container)}</em>${escapeHtml(`${ref.volume ? `, ${ref.volume}` : ""}${ref.issue ? `(${ref.issue})` : ""}${pages}`)}.`
+          : `<em>${escapeHtml(ref.title)}</em>.`;
+        const doi = ref.doi ? ` doi:${escapeHtml(ref.doi)}.` : "";
+        return `${authors ? `${escapeHtml(authors)} ` : ""}(${escapeHtml(ref.year || "n.d.")}) ${source}${doi}`;
+      }
+    },
+    cv: {
+      label: "Compact CV",
+      format: (ref) => {
+        const authors = authorList(ref, (person) => `${person.family} ${initials(person.given).join("")}`.trim(), { max: 3 });
+        const source = [ref.container ? `<em>${escapeHtml(ref.container)}</em>` : "", escapeHtml(ref.year)].filter(Boolean).join(", ");
+        return [
+          `<strong>${escapeHtml(sentence(ref.title))}</strong>`,
+          authors ? escapeHtml(sentence(authors)) : "",
+          source ? `${source}.` : ""
+        ].filter(Boolean).join(" ");
+      }
+    }
+  };
+
+  // A publication row (see LiveRender.items.publication) that shows the item in `style`
+  const styledRow = (style) => (fields) => {
+    const link = fields.url ? ` <a href="${escapeHtml(fields.url)}" target="_blank" rel="noopener">Link</a>` : "";
+    const badges = LiveRender.identifierBadges(fields);
+    return `
+        <li id="${escapeHtml(fields.anchor)}" class="live-citation live-citation-${escapeHtml(style)}">
+          ${styles[style].format(reference(fields))}${link}${badges ? ` ${badges}` : ""}
+        </li>
+      `;
+  };
+
+  return { parseAuthors, parseVenue, reference, citationKeys, cslItems, formats, styles, styledRow };
+});
@@ -1,104 +1,973 @@
 (() => {
-  const escapeHtml = (value) => {
-    if (!value) return "";
-    return String(value)
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#039;");
+  // Resolves assets that ship next to this script, such as the vendored YAML parser
+  const scriptUrl = document.currentScript ? document.currentScript.src : window.location.href;
+
+  // Site-wide settings written once per page by live_config() (scripts/live-sources.R):
+  // source chains, links, github_user, locale, cache policy and profile defaults.
+  const siteConfig = (() => {
+    const node = document.getElementById("live-data-config");
+    if (!node) return {};
+    try {
+      return JSON.parse(node.textContent) || {};
+    } catch (e) {
+      console.warn("Invalid live data configuration", { error: e?.message || String(e) });
+      return {};
+    }
+  })();
+  const cachePolicy = siteConfig.cache || {};
+  const locale = siteConfig.locale || "en-GB";
+
+  // A section attribute when present, else the site-wide default
+  const setting = (el, attribute, fallback = "") => (el.hasAttribute(attribute) ? el.getAttribute(attribute) : fallback);
+
+  // Markup comes from live-render.js, shared with the build-time prerender (scripts/prerender.js)
+  const LiveRender = window.LiveRender;
+  const { escapeHtml } = LiveRender;
+  // Citation formats for the Cite and Export menus (live-cite.js)
+  const LiveCite = window.LiveCite;
+
+  // Typed failures for the live sections. `kind` picks the message shown to readers; the
+  // error object itself is kept per section for diagnostics.
+  class LiveDataError extends Error {
+    constructor(message, details = {}) {
+      super(message);
+      this.name = this.constructor.name;
+      Object.assign(this, details);
+    }
+  }
+
+  class NetworkError extends LiveDataError {
+    get kind() { return "network"; }
+  }
+
+  class HttpError extends LiveDataError {
+    get kind() { return "http"; }
+  }
+
+  class RateLimitError extends HttpError {
+    get kind() { return "rate-limit"; }
+  }
+
+  class ParseError extends LiveDataError {
+    get kind() { return "parse"; }
+  }
+
+  class SchemaError extends LiveDataError {
+    get kind() { return "schema"; }
+  }
+
+  const describeError = (err) => {
+    switch (err && err.kind) {
+      case "network":
+        return err.timeout
+          ? "The data source took too long to answer."
+          : "The data source could not be reached. Check your connection.";
+      case "rate-limit": {
+        const reset = err.resetAt ? new Date(err.resetAt) : null;
+        return reset && !Number.isNaN(reset.getTime())
+          ? `The GitHub rate limit was reached; it resets at ${reset.toLocaleTimeString()}.`
+          : "The GitHub rate limit was reached; try again in a few minutes.";
+      }
+      case "http":
+        return err.status === 404
+          ? "The data file was not found (HTTP 404)."
+          : `The data source answered with HTTP ${err.status}.`;
+      case "parse":
+        return err.parserMissing
+          ? "The YAML parser could not be loaded, so the data cannot be read."
+          : "The data file could not be read; it is not valid YAML or JSON.";
+      case "schema":
+        return "The data does not have the expected structure.";
+      default:
+        return "An unexpected error occurred.";
+    }
+  };
+
+  // GitHub signals an exhausted quota with 429, or 403 plus x-ratelimit-remaining: 0
+  const httpError = (res, url) => {
+    const remaining = res.headers && res.headers.get("x-ratelimit-remaining");
+    if (res.status === 429 || (res.status === 403 && remaining === "0")) {
+      const reset = Number(res.headers.get("x-ratelimit-reset"));
+      const retryAfter = Number(res.headers.get("Retry-After"));
+      let resetAt = null;
+      if (reset > 0) resetAt = new Date(reset * 1000).toISOString();
+      else if (retryAfter > 0) resetAt = new Date(Date.now() + retryAfter * 1000).toISOString();
+      return new RateLimitError(`Request failed: ${res.status}`, { url, status: res.status, resetAt });
+    }
+    return new HttpError(`Request failed: ${res.status}`, { url, status: res.status });
   };
 
-  const fetchJson = async (url) => {
-    const res = await fetch(url, { cache: "no-store" });
-    if (!res.ok) throw new Error(`Request failed: ${res.status}`);
-    return res.json();
+  // Per-request limits; sections override timeout and retries with data-timeout / data-retries
+  const DEFAULT_POLICY = {
+    timeout: 10000,
+    retries: 2,
+    backoff: 500,
+    maxRetryAfter: 30000,
+    signal: null,
+    trace: null
+  };
+  ["timeout", "retries"].forEach((key) => {
+    const value = Number(cachePolicy[key]);
+    if (cachePolicy[key] !== undefined && value >= 0) DEFAULT_POLICY[key] = value;
+  });
+
+  const abortError = () => new DOMException("Live data request superseded", "AbortError");
+
+  const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+
+  // Honour Retry-After (seconds or HTTP date), else exponential backoff with full jitter
+  const retryDelay = (res, attempt, policy) => {
+    const header = res.headers && res.headers.get("Retry-After");
+    if (header) {
+      const seconds = Number(header);
+      if (!Number.isNaN(seconds)) return seconds * 1000;
+      const date = Date.parse(header);
+      if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+    const ceiling = policy.backoff * 2 ** attempt;
+    return ceiling / 2 + Math.random() * (ceiling / 2);
+  };
+
+  const isRetryable = (status) => status === 429 || status >= 500;
+
+  const request = async (url, policy, parse) => {
+    const options = { ...DEFAULT_POLICY, ...policy };
+    const { timeout, retries, signal, trace } = options;
+    for (let attempt = 0; ; attempt += 1) {
+      if (signal && signal.aborted) throw abortError();
+      const started = Date.now();
+      // Every attempt lands in the refresh trace shown by the diagnostics panel
+      const record = (details) => {
+        if (trace) trace.attempts.push({ url, attempt: attempt + 1, ms: Date.now() - started, ...details });
+      };
+      const controller = new AbortController();
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout);
+      const onAbort = () => controller.abort();
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+      let res;
+      let text = null;
+      try {
+        res = await fetch(url, { cache: "no-store", signal: controller.signal });
+        if (res.ok) text = await res.text();
+      } catch (err) {
+        if (signal && signal.aborted) {
+          record({ error: "cancelled" });
+          throw abortError();
+        }
+        if (timedOut) {
+          record({ error: `timed out after ${timeout}ms` });
+          throw new NetworkError(`Request timed out after ${timeout}ms`, { url, timeout: true });
+        }
+        record({ error: err?.message || String(err) });
+        throw new NetworkError(err?.message || String(err), { url, cause: err });
+      } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", onAbort);
+      }
+
+      if (res.ok) {
+        try {
+          const data = await parse(text);
+          record({ status: res.status, ok: true });
+          return data;
+        } catch (err) {
+          record({ status: res.status, error: err?.message || String(err) });
+          if (err instanceof LiveDataError) throw err;
+          throw new ParseError(err?.message || String(err), { url, cause: err });
+        }
+      }
+      record({ status: res.status });
+      if (!isRetryable(res.status) || attempt >= retries) {
+        throw httpError(res, url);
+      }
+      const delay = retryDelay(res, attempt, options);
+      if (delay > options.maxRetryAfter) {
+        throw httpError(res, url);
+      }
+      console.warn("Live data request retrying", { url, status: res.status, attempt: attempt + 1, delay: Math.round(delay) });
+      await sleep(delay, signal);
+    }
+  };
+
+  const fetchJson = async (url, policy) => {
+    return request(url, policy, (text) => JSON.parse(text));
   };
 
   const isYamlUrl = (url) => {
     return url.endsWith(".yml") || url.endsWith(".yaml");
   };
 
-  const fetchYaml = async (url) => {
-    const res = await fetch(url, { cache: "no-store" });
-    if (!res.ok) throw new Error(`Request failed: ${res.status}`);
-    const text = await res.text();
-    if (!window.jsyaml) {
-      throw new Error("js-yaml not loaded");
+  // Same-origin copy of js-yaml 4.1.0, loaded only when a YAML file has to be parsed and
+  // pinned by its Subresource Integrity hash
+  const YAML_PARSER = {
+    path: "vendor/js-yaml.min.js",
+    integrity: "sha384-+pxiN6T7yvpryuJmE1gM9PX7yQit15auDb+ZwwvJOd/4be2Cie5/IuVXgQb/S9du"
+  };
+
+  // A failed load is forgotten (and its <script> removed), so Retry loads the parser afresh
+  let yamlParser = null;
+  const loadYamlParser = () => {
+    if (window.jsyaml) return Promise.resolve(window.jsyaml);
+    if (!yamlParser) {
+      yamlParser = new Promise((resolve, reject) => {
+        const script = document.createElement("script");
+        script.src = new URL(YAML_PARSER.path, scriptUrl).href;
+        script.integrity = YAML_PARSER.integrity;
+        const fail = (message) => {
+          clearTimeout(timer);
+          script.onload = null;
+          script.onerror = null;
+          script.remove();
+          yamlParser = null;
+          reject(new ParseError(message, { url: script.src, parserMissing: true }));
+        };
+        const timer = setTimeout(() => fail("js-yaml took too long to load"), DEFAULT_POLICY.timeout);
+        script.onload = () => {
+          if (!window.jsyaml) {
+            fail("js-yaml not loaded");
+            return;
+          }
+          clearTimeout(timer);
+          resolve(window.jsyaml);
+        };
+        script.onerror = () => fail("js-yaml failed to load or failed its integrity check");
+        document.head.appendChild(script);
+      });
     }
-    return window.jsyaml.load(text);
+    return yamlParser;
   };
 
-  const fetchData = async (url) => {
-    return isYamlUrl(url) ? fetchYaml(url) : fetchJson(url);
+  // Parsed inside request(), so a file that fails to parse (or a parser that fails to load)
+  // is recorded against its attempt
+  const fetchYaml = async (url, policy) => {
+    return request(url, policy, async (text) => (await loadYamlParser()).load(text));
   };
 
-  const fetchWithFallback = async (primaryUrl, fallbackUrl) => {
-    try {
-      const data = await fetchData(primaryUrl);
-      console.info("Live data fetched", { url: primaryUrl, ok: true });
-      return data;
-    } catch (err) {
-      console.warn("Live data fetch failed", { url: primaryUrl, error: err?.message || String(err) });
+  const fetchData = async (url, policy) => {
+    return isYamlUrl(url) ? fetchYaml(url, policy) : fetchJson(url, policy);
+  };
+
+  // Data-source registry. A section declares an ordered chain of { type, ...options };
+  // each type either builds a URL for fetchData or loads the payload itself.
+  const sourceTypes = {
+    url: {
+      url: (options) => options.url
+    },
+    "github-raw": {
+      url: ({ owner, repo, ref = "main", path }) => `https://raw.githubusercontent.com/${owner}/${repo}/${ref}/${path}`
+    },
+    jsdelivr: {
+      url: ({ owner, repo, ref = "main", path }) => `https://cdn.jsdelivr.net/gh/${owner}/${repo}@${ref}/${path}`
+    },
+    "same-origin": {
+      url: ({ path, root }) => (root
+        ? `${window.location.origin}/${path.replace(/^\//, "")}`
+        : new URL(path, window.location.href).href)
+    },
+    inline: {
+      load: async ({ data, selector }) => {
+        if (data !== undefined) return data;
+        const node = selector ? document.querySelector(selector) : null;
+        if (!node) throw new Error(`Inline data not found: ${selector}`);
+        return JSON.parse(node.textContent);
+      }
+    }
+  };
+
+  const registerSourceType = (type, definition) => {
+    if (!definition || (typeof definition.url !== "function" && typeof definition.load !== "function")) {
+      throw new Error(`Source type "${type}" needs a url() or load() function`);
+    }
+    sourceTypes[type] = definition;
+  };
 
-      // If primary is a raw.githubusercontent URL that returned 404, try swapping branch name main<->master
+  const sourceUrl = (source) => {
+    const definition = sourceTypes[source.type];
+    return definition && definition.url ? definition.url(source) : null;
+  };
+
+  const describeSource = (source) => sourceUrl(source) || `${source.type} source`;
+
+  // The crawler publishes every data/crawl YAML file as JSON too; a source can opt in or
+  // out of reading that copy first with `json: true|false`.
+  const jsonSibling = (url, source) => {
+    if (!isYamlUrl(url.split("?")[0])) return null;
+    const prefer = source.json !== undefined ? source.json : /(^|\/)data\/crawl\/[^/]+\.ya?ml$/.test(url.split("?")[0]);
+    return prefer ? url.replace(/\.ya?ml(\?|$)/, ".json$1") : null;
+  };
+
+  // Resolves with { data, url }, url being the file actually read
+  const loadSource = async (source, policy) => {
+    const definition = sourceTypes[source.type];
+    if (!definition) throw new Error(`Unknown data source type: ${source.type}`);
+    if (definition.load) return { data: await definition.load(source, policy), url: describeSource(source) };
+    const url = definition.url(source);
+    const jsonUrl = jsonSibling(url, source);
+    if (jsonUrl) {
       try {
-        const errMsg = err?.message || String(err);
-        if (errMsg.includes("404") && primaryUrl.includes("raw.githubusercontent.com")) {
-          let alt = null;
-          if (primaryUrl.includes("/main/")) alt = primaryUrl.replace("/main/", "/master/");
-          else if (primaryUrl.includes("/master/")) alt = primaryUrl.replace("/master/", "/main/");
-          if (alt) {
-            try {
-              const altData = await fetchData(alt);
-              console.info("Live data fetched (branch swap)", { url: alt, ok: true });
-              return altData;
-            } catch (e) {
-              console.warn("Branch-swap fetch also failed", { url: alt, error: e?.message || String(e) });
-            }
-          }
-        }
-      } catch (e) {
-        console.warn("Error during branch-swap attempt", e?.message || String(e));
+        return { data: await fetchJson(jsonUrl, policy), url: jsonUrl };
+      } catch (err) {
+        if (err?.name === "AbortError") throw err;
+        console.info("JSON copy unavailable; reading YAML", { url: jsonUrl, error: err?.message || String(err) });
       }
+    }
+    return { data: await fetchData(url, policy), url };
+  };
+
+  // Drops later sources that resolve to a URL already in the chain
+  const uniqueSources = (sources) => {
+    const seen = new Set();
+    return sources.filter((source) => {
+      const url = sourceUrl(source);
+      if (!url) return true;
+      const resolved = new URL(url, window.location.href).href;
+      if (seen.has(resolved)) return false;
+      seen.add(resolved);
+      return true;
+    });
+  };
+
+  // { type: "github", owner, repo, ref, path } expands to the raw host and its jsDelivr
+  // mirror (or the types listed in `mirrors`), all pinned to the same ref.
+  const expandSources = (sources) => uniqueSources(sources.flatMap((source) => {
+    if (source.type !== "github") return [source];
+    const { mirrors, ...location } = source;
+    return (mirrors || ["github-raw", "jsdelivr"]).map((type) => ({ ...location, type }));
+  }));
 
-      if (!fallbackUrl || fallbackUrl === primaryUrl) {
-        throw err;
+  // The chain the old data-crawl-url / data-fallback attributes always implied: the primary
+  // URL, its main<->master branch swap, the fallback, then the fallback from the site root.
+  const legacySources = (primaryUrl, fallbackUrl) => {
+    const sources = [{ type: "url", url: primaryUrl }];
+    if (primaryUrl.includes("raw.githubusercontent.com")) {
+      if (primaryUrl.includes("/main/")) sources.push({ type: "url", url: primaryUrl.replace("/main/", "/master/") });
+      else if (primaryUrl.includes("/master/")) sources.push({ type: "url", url: primaryUrl.replace("/master/", "/main/") });
+    }
+    if (fallbackUrl) {
+      sources.push({ type: "same-origin", path: fallbackUrl });
+      if (!fallbackUrl.match(/^https?:\/\//) && (fallbackUrl.startsWith("data/") || fallbackUrl.startsWith("/data/"))) {
+        sources.push({ type: "same-origin", path: fallbackUrl, root: true });
       }
+    }
+    return uniqueSources(sources);
+  };
+
+  // JSON held in an attribute, or in the <script type="application/json"> it names as "#id"
+  const jsonAttribute = (el, name) => {
+    const declared = el.getAttribute(name);
+    if (!declared) return undefined;
+    try {
+      const text = declared.startsWith("#") ? document.querySelector(declared)?.textContent : declared;
+      return text ? JSON.parse(text) : undefined;
+    } catch (e) {
+      console.warn(`Invalid ${name} declaration`, { id: el.id, error: e?.message || String(e) });
+      return undefined;
+    }
+  };
+
+  // A section's chain: data-sources, then the legacy URL attribute, then the site-wide chain
+  // for its payload ("crawl", "publications" or "profile")
+  const sectionSources = (el, urlAttribute, payload) => {
+    const sources = jsonAttribute(el, "data-sources");
+    if (Array.isArray(sources)) return expandSources(sources);
+    const url = el.getAttribute(urlAttribute);
+    if (url) return legacySources(url, el.getAttribute("data-fallback"));
+    const configured = siteConfig.sources && siteConfig.sources[payload];
+    return Array.isArray(configured) ? expandSources(configured) : [];
+  };
 
-      // Try configured fallback first
-      let fallbackTried = false;
+  // When every source fails, report the most telling failure: a 404 from one mirror says
+  // less than a parse error or an exhausted rate limit from another.
+  const ERROR_RANK = ["rate-limit", "parse", "schema", "http", "network"];
+  const errorRank = (err) => {
+    if (err && err.kind === "http" && err.status === 404) return ERROR_RANK.length;
+    const rank = ERROR_RANK.indexOf(err && err.kind);
+    return rank === -1 ? ERROR_RANK.length + 1 : rank;
+  };
+  const pickError = (errors) => errors.reduce((best, err) => (errorRank(err) < errorRank(best) ? err : best));
+
+  // Renders from the first source in the chain that answers
+  const fetchFirst = async (sources, policy) => {
+    const errors = [];
+    for (const source of sources) {
       try {
-        const data = await fetchData(fallbackUrl);
-        console.info("Live data fetched (fallback)", { url: fallbackUrl, ok: true });
+        const { data, url } = await loadSource(source, policy);
+        console.info("Live data fetched", { type: source.type, url, ok: true });
+        if (policy && policy.trace) {
+          policy.trace.winner = url;
+          policy.trace.reason = "first source in the chain that answered";
+        }
         return data;
-      } catch (e) {
-        console.warn("Fallback fetch failed", { url: fallbackUrl, error: e?.message || String(e) });
-        fallbackTried = true;
+      } catch (err) {
+        if (err?.name === "AbortError") throw err;
+        console.warn("Live data source failed", { type: source.type, url: describeSource(source), error: err?.message || String(err) });
+        errors.push(err);
       }
+    }
+    throw errors.length ? pickError(errors) : new Error("No data sources declared");
+  };
+
+  const generatedTime = (data) => {
+    const time = data && data.generated_at ? Date.parse(data.generated_at) : NaN;
+    return Number.isNaN(time) ? null : time;
+  };
+
+  // Freshness-aware mode: fetch every source in the chain and keep the newest generated_at
+  const fetchFreshest = async (sources, policy) => {
+    const results = await Promise.allSettled(sources.map((source) => loadSource(source, policy)));
+    if (policy && policy.signal && policy.signal.aborted) throw abortError();
+    const reached = results
+      .filter((result) => result.status === "fulfilled")
+      .map((result) => ({ url: result.value.url, data: result.value.data, time: generatedTime(result.value.data) }));
+    const candidates = results.map((result, index) => ({
+      url: result.status === "fulfilled" ? result.value.url : describeSource(sources[index]),
+      generated_at: result.status === "fulfilled" ? (result.value.data && result.value.data.generated_at) || null : undefined,
+      error: result.status === "rejected" ? result.reason?.message || String(result.reason) : undefined
+    }));
+
+    if (!reached.length) {
+      console.warn("Live data fetch failed for every source", { candidates });
+      throw results.length ? pickError(results.map((result) => result.reason)) : new Error("No data sources declared");
+    }
+
+    const dated = reached.filter((item) => item.time !== null);
+    let winner = reached[0];
+    let reason = "only reachable source";
+    if (dated.length) {
+      winner = dated.reduce((best, item) => (item.time > best.time ? item : best));
+      reason = dated.length > 1
+        ? `newest generated_at among ${dated.length} dated sources`
+        : "only source with a generated_at stamp";
+    } else if (reached.length > 1) {
+      reason = "no source carries generated_at; first reachable in priority order";
+    }
+    console.info("Live data source selected", { url: winner.url, generated_at: winner.data.generated_at, reason, candidates });
+    if (policy && policy.trace) {
+      policy.trace.winner = winner.url;
+      policy.trace.reason = reason;
+    }
+    return winner.data;
+  };
+
+  const formatTimestamp = (value) => LiveRender.formatTimestamp(value, locale);
+
+  // Persistent copy of the last good payload per URL, stamped with generated_at
+  const CACHE_PREFIX = "livedata:v1:";
+
+  const readCache = (cacheKey) => {
+    if (cachePolicy.persist === false) return null;
+    try {
+      const raw = window.localStorage.getItem(CACHE_PREFIX + cacheKey);
+      const record = raw ? JSON.parse(raw) : null;
+      return record && record.data ? record : null;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const writeCache = (cacheKey, data, url = null) => {
+    if (cachePolicy.persist === false) return;
+    try {
+      const record = {
+        generated_at: (data && data.generated_at) || null,
+        stored_at: new Date().toISOString(),
+        url,
+        data
+      };
+      window.localStorage.setItem(CACHE_PREFIX + cacheKey, JSON.stringify(record));
+    } catch (e) {
+      console.warn("Live data cache write failed", { key: cacheKey, error: e?.message || String(e) });
+    }
+  };
+
+  // Shared payload store: one request per URL, and every section renders the same
+  // frozen snapshot of the parsed result.
+  const payloadStore = new Map();
+
+  const deepFreeze = (value) => {
+    if (value && typeof value === "object" && !Object.isFrozen(value)) {
+      Object.freeze(value);
+      Object.values(value).forEach(deepFreeze);
+    }
+    return value;
+  };
+
+  // Fetch options declared on a section element
+  const sectionOptions = (el) => {
+    const options = { freshness: setting(el, "data-freshness", cachePolicy.freshness || "") };
+    const timeout = Number(el.getAttribute("data-timeout"));
+    const retries = Number(el.getAttribute("data-retries"));
+    if (el.hasAttribute("data-timeout") && timeout > 0) options.timeout = timeout;
+    if (el.hasAttribute("data-retries") && retries >= 0) options.retries = Math.floor(retries);
+    return options;
+  };
 
-      // If fallback is a repo-relative path, also try an absolute path from current origin
+  // Sections sharing a chain and fetch limits share one request; a section with its own
+  // data-timeout or data-retries gets its own entry. `shareKey` leaves the limits out, so the
+  // entries (and other tabs) still meet on the same cached copy and broadcasts.
+  const chainSource = (sources, options = {}, schema = null) => {
+    const { freshness, ...policy } = options;
+    const shareKey = `${JSON.stringify(sources)} ${freshness || ""} ${schema || ""}`;
+    const limits = Object.keys(policy).length ? ` ${JSON.stringify(policy, Object.keys(policy).sort())}` : "";
+    const key = shareKey + limits;
+    return {
+      key,
+      shareKey,
+      schema,
+      cacheKey: (sources.length && sourceUrl(sources[0])) || shareKey,
+      load: (signal, trace) => (freshness === "newest"
+        ? fetchFreshest(sources, { ...policy, signal, trace })
+        : fetchFirst(sources, { ...policy, signal, trace }))
+    };
+  };
+
+  // Validates a parsed payload against its LiveSchema schema (live-schema.js); the snapshot
+  // keeps only the valid parts and lists what was dropped.
+  const makeSnapshot = (schema, data, extra) => {
+    let value = data;
+    let violations = [];
+    if (schema && window.LiveSchema) {
+      const checked = window.LiveSchema.check(schema, data);
+      if (checked.value === undefined || checked.incomplete) {
+        throw new SchemaError(`Payload does not match the ${schema} schema`, { violations: checked.errors });
+      }
+      value = checked.value;
+      violations = checked.errors;
+    }
+    return { data: deepFreeze(value), json: JSON.stringify(data), violations, ...extra };
+  };
+
+  const notify = (entry) => {
+    entry.listeners.forEach((listener) => listener(entry));
+    scheduleDiagnostics();
+  };
+
+  // Cross-tab coordination. A Web Lock per cached URL lets one tab at a time fetch it; a tab
+  // that had to wait, or that finds a copy another tab stored within SHARE_WINDOW, reads the
+  // shared localStorage copy instead of the network. Fresh payloads are also posted on a
+  // BroadcastChannel so idle tabs see them without fetching.
+  const SHARE_WINDOW = 60000;
+  const tabs = typeof BroadcastChannel === "function" ? new BroadcastChannel("livedata") : null;
+  const locks = window.navigator && window.navigator.locks ? window.navigator.locks : null;
+
+  const sharedCopy = (entry, since) => {
+    const record = readCache(entry.source.cacheKey);
+    const storedAt = record ? Date.parse(record.stored_at) : NaN;
+    return record && storedAt >= since ? record : null;
+  };
+
+  // Without Web Locks, tabs still read each other's recent copies and broadcasts; they only
+  // lose the guarantee that two of them never fetch at the same moment
+  const loadCoordinated = (entry, signal, trace, force = false) => {
+    const waitStarted = Date.now();
+    const load = async () => {
+      const shared = sharedCopy(entry, force ? waitStarted : Math.min(waitStarted, Date.now() - SHARE_WINDOW));
+      if (shared) {
+        trace.winner = shared.url || null;
+        trace.reason = "copy fetched by another tab";
+        trace.shared = true;
+        return shared.data;
+      }
+      const data = await entry.source.load(signal, trace);
+      writeCache(entry.source.cacheKey, data, trace.winner);
+      if (tabs) tabs.postMessage({ type: "payload", key: entry.source.shareKey, data, url: trace.winner });
+      return data;
+    };
+    if (!locks) return load();
+    return locks.request(`livedata:${entry.source.cacheKey}`, signal ? { signal } : {}, load);
+  };
+
+  // A payload another tab fetched: shown straight away where this tab has nothing on
+  // screen yet, otherwise offered through the update banner when it is newer
+  if (tabs) {
+    const receivePayload = (entry, message) => {
+      if (entry.snapshot && entry.snapshot.json === JSON.stringify(message.data)) return;
+      let snapshot;
       try {
-        if (!fallbackUrl.match(/^https?:\/\//) && (fallbackUrl.startsWith("data/") || fallbackUrl.startsWith("/data/"))) {
-          const abs = (fallbackUrl.startsWith("/")) ? `${window.location.origin}${fallbackUrl}` : `${window.location.origin}/${fallbackUrl}`;
-          const data2 = await fetchData(abs);
-          console.info("Live data fetched (absolute fallback)", { url: abs, ok: true });
-          return data2;
+        snapshot = makeSnapshot(entry.source.schema, message.data, { fromCache: false, url: message.url });
+      } catch (err) {
+        return;
+      }
+      if (!entry.snapshot || entry.snapshot.offline) {
+        entry.error = null;
+        entry.snapshot = snapshot;
+        notify(entry);
+        return;
+      }
+      const time = generatedTime(message.data);
+      if (time !== null && time > Math.max(generatedTime(entry.snapshot.data) || 0, dismissedUpdates.get(entry.key) || 0)) {
+        pendingUpdates.set(entry.key, { entry, data: message.data, snapshot });
+        showUpdateBanner();
+      }
+    };
+
+    tabs.addEventListener("message", ({ data: message }) => {
+      if (!message || message.type !== "payload") return;
+      // Another tab has just fetched, so this tab's next update check can wait a full interval
+      lastUpdateCheck = Date.now();
+      payloadStore.forEach((entry) => {
+        if (entry.source.shareKey === message.key) receivePayload(entry, message);
+      });
+    });
+  }
+
+  // Fetch from the network in the background; a cached snapshot stays on screen until
+  // fresh data arrives, and is flagged as offline if the network copy is unreachable.
+  const revalidate = (entry, force = false) => {
+    // A newer refresh takes over: cancel whatever the previous one still has in flight
+    if (entry.controller) entry.controller.abort();
+    const controller = new AbortController();
+    entry.controller = controller;
+    const trace = { attempts: [], winner: null, reason: null, startedAt: Date.now(), finishedAt: null };
+    entry.trace = trace;
+    entry.pending = loadCoordinated(entry, controller.signal, trace, force).then((data) => {
+      trace.finishedAt = Date.now();
+      if (!trace.winner) {
+        const answered = trace.attempts.filter((attempt) => attempt.ok).pop();
+        trace.winner = answered ? answered.url : null;
+      }
+      return { data, snapshot: makeSnapshot(entry.source.schema, data, { fromCache: false, url: trace.winner }) };
+    }).then(({ data, snapshot }) => {
+      if (controller.signal.aborted) return;
+      const cachedJson = entry.snapshot && entry.snapshot.fromCache ? entry.snapshot.json : null;
+      // Re-storing a shared copy would keep it looking fresh to other tabs forever
+      if (!trace.shared) writeCache(entry.source.cacheKey, data, snapshot.url);
+      entry.error = null;
+      if (snapshot.json === cachedJson) {
+        entry.snapshot = { ...entry.snapshot, fromCache: false };
+        return;
+      }
+      entry.snapshot = snapshot;
+      notify(entry);
+    }, (err) => {
+      if (controller.signal.aborted) return;
+      trace.finishedAt = trace.finishedAt || Date.now();
+      entry.error = err;
+      if (entry.snapshot) {
+        console.warn("Live data network refresh failed; keeping cached copy", { key: entry.key, error: err?.message || String(err) });
+        entry.snapshot = { ...entry.snapshot, offline: true };
+      }
+      notify(entry);
+    });
+    return entry.pending;
+  };
+
+  const getEntry = (source) => {
+    let entry = payloadStore.get(source.key);
+    if (!entry) {
+      entry = { key: source.key, source, snapshot: null, error: null, pending: null, controller: null, trace: null, listeners: new Set() };
+      const cached = readCache(source.cacheKey);
+      entry.cache = cached ? "hit" : "miss";
+      if (cached) {
+        try {
+          entry.snapshot = makeSnapshot(source.schema, cached.data, {
+            fromCache: true,
+            cachedAt: cached.generated_at || cached.stored_at,
+            url: cached.url || null
+          });
+        } catch (err) {
+          console.warn("Ignoring cached live data that no longer matches its schema", { key: source.cacheKey });
         }
-      } catch (e2) {
-        console.warn("Absolute-fallback fetch failed", { url: fallbackUrl, error: e2?.message || String(e2) });
       }
+      payloadStore.set(source.key, entry);
+      revalidate(entry);
+    }
+    return entry;
+  };
 
-      if (fallbackTried) throw err;
-      throw err;
+  // Waits out superseded refreshes until the entry has a snapshot or a final error
+  const settled = async (entry) => {
+    while (!entry.snapshot && !entry.error) {
+      await entry.pending;
     }
   };
 
+  // Resolves with the first snapshot available, cached or fresh
+  const loadShared = async (sources, options = {}, schema = null) => {
+    const entry = getEntry(chainSource(sources, options, schema));
+    await settled(entry);
+    if (!entry.snapshot) throw entry.error;
+    return entry.snapshot.data;
+  };
+
+  // Last known state of every live section, kept for diagnostics
+  const sectionStatus = new Map();
+  const renderers = {};
+  const bindings = new WeakMap();
+
+  const setStatus = (el, changes) => {
+    const status = { id: el.id, error: null, violations: [], ...sectionStatus.get(el.id), ...changes, updatedAt: new Date().toISOString() };
+    sectionStatus.set(el.id, status);
+    scheduleDiagnostics();
+    return status;
+  };
+
+  const showError = (el, failMessage, err) => {
+    el.innerHTML = `
+      <div class=\"live-error\" role=\"alert\" data-error-kind=\"${escapeHtml(err?.kind || "unknown")}\">
+        <span>${escapeHtml(failMessage)} ${escapeHtml(describeError(err))}</span>
+        <button type=\"button\" class=\"live-retry btn btn-sm btn-outline-secondary\">Retry</button>
+      </div>
+    `;
+    el.querySelector(".live-retry").addEventListener("click", () => retrySection(el.id));
+  };
+
+  // Lifecycle events, fired on the section element and again on document so integrations
+  // can listen in one place: livedata:loading, livedata:loaded, livedata:updated, livedata:error
+  const emit = (el, type, detail = {}) => {
+    const payload = { id: el.id, section: el, ...detail };
+    el.dispatchEvent(new CustomEvent(`livedata:${type}`, { detail: payload }));
+    document.dispatchEvent(new CustomEvent(`livedata:${type}`, { detail: payload }));
+  };
+
+  // Refetches a section's failed payload in place, so every section bound to it re-renders;
+  // a section whose data loaded but whose renderer failed is simply rendered again
+  const retrySection = (id) => {
+    const el = document.getElementById(id);
+    const render = renderers[id];
+    if (!el || !render) return Promise.resolve();
+    const status = sectionStatus.get(id);
+    const entry = status && status.key ? payloadStore.get(status.key) : null;
+    if (!entry || entry.snapshot) {
+      el.textContent = "Retrying...";
+      return render();
+    }
+    entry.error = null;
+    sectionStatus.forEach((other, otherId) => {
+      const section = other.key === entry.key ? document.getElementById(otherId) : null;
+      if (section && section.querySelector(":scope > .live-error")) section.textContent = "Retrying...";
+    });
+    revalidate(entry, true);
+    return settled(entry);
+  };
+
+  // Deep links to items (search results) name elements that only exist once a section
+  // renders, or that sit in a collapsed year group, which is opened first
+  const revealHash = (el, scroll = true) => {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    const target = id ? document.getElementById(id) : null;
+    if (!target || target === el || !el.contains(target)) return;
+    let collapsed = false;
+    for (let group = target.closest("details"); group && el.contains(group); group = group.parentElement.closest("details")) {
+      if (!group.open) {
+        group.open = true;
+        collapsed = true;
+      }
+    }
+    if (scroll || collapsed) target.scrollIntoView();
+  };
+
+  window.addEventListener("hashchange", () => revealHash(document.body, false));
+
+  // Renders a section from the shared store now and again whenever fresher data lands.
+  // Schema violations under any of `paths` are reported in the section itself.
+  const bindSection = (el, source, failMessage, render, paths = []) => {
+    const entry = getEntry(source);
+    const previous = bindings.get(el);
+    if (previous) previous.entry.listeners.delete(previous.update);
+    setStatus(el, { key: entry.key, error: null });
+    emit(el, "loading", { key: entry.key });
+    let rendered = false;
+    const update = () => {
+      const snapshot = entry.snapshot;
+      // A cached copy no newer than the built content (scripts/prerender.js) would make the
+      // page older than the HTML it shipped with, so the built markup stays until fresh data
+      const outdated = snapshot && snapshot.fromCache && !rendered && el.hasAttribute("data-prerendered")
+        && (generatedTime(snapshot.data) || 0) <= (Date.parse(el.getAttribute("data-prerendered")) || 0);
+      if (!snapshot || outdated) {
+        if (entry.error) {
+          setStatus(el, { error: entry.error });
+          // Content written at build time (scripts/prerender.js) beats an error message
+          const prerendered = !rendered && el.hasAttribute("data-prerendered");
+          if (prerendered) {
+            const label = formatTimestamp(el.getAttribute("data-prerendered"));
+            el.querySelectorAll(":scope > .live-cache-note").forEach((note) => note.remove());
+            el.insertAdjacentHTML(
+              "beforeend",
+              `<div class=\"live-cache-note\">Showing data from ${escapeHtml(label || "the site build")}; the live source could not be reached.</div>`
+            );
+          } else {
+            showError(el, failMessage, entry.error);
+          }
+          emit(el, "error", { error: entry.error, kind: entry.error?.kind || "unknown", prerendered });
+        }
+        return;
+      }
+      try {
+        render(snapshot.data);
+      } catch (err) {
+        console.warn("Live section render failed", { section: el.id, error: err?.message || String(err) });
+        setStatus(el, { error: err });
+        showError(el, failMessage, err);
+        emit(el, "error", { error: err, kind: err?.kind || "render" });
+        return;
+      }
+      const violations = (snapshot.violations || []).filter((violation) => paths.some(
+        (prefix) => violation.path === prefix || violation.path.startsWith(`${prefix}.`)
+      ));
+      setStatus(el, { error: snapshot.offline ? entry.error : null, violations });
+      if (violations.length) {
+        console.warn("Live data schema violations", { section: el.id, violations });
+        const list = violations
+          .map((violation) => `<li><code>${escapeHtml(violation.path)}</code> ${escapeHtml(violation.message)}</li>`)
+          .join("");
+        el.insertAdjacentHTML(
+          "beforeend",
+          `<details class=\"live-schema-note\"><summary>${violations.length} invalid data ${violations.length === 1 ? "field" : "fields"} omitted</summary><ul>${list}</ul></details>`
+        );
+      }
+      if (snapshot.offline) {
+        const label = formatTimestamp(snapshot.cachedAt);
+        el.insertAdjacentHTML(
+          "beforeend",
+          `<div class=\"live-cache-note\">Cached as of ${escapeHtml(label || "an earlier visit")}; the live source could not be reached.</div>`
+        );
+      }
+      // Built content was already scrolled to by the browser, unless its group was collapsed
+      if (!rendered) revealHash(el, !el.hasAttribute("data-prerendered"));
+      emit(el, rendered ? "updated" : "loaded", {
+        data: snapshot.data,
+        url: snapshot.url || null,
+        fromCache: Boolean(snapshot.fromCache),
+        violations
+      });
+      rendered = true;
+      if (snapshot.offline && entry.error) {
+        emit(el, "error", { error: entry.error, kind: entry.error.kind || "unknown", cached: true });
+      }
+    };
+    entry.listeners.add(update);
+    bindings.set(el, { entry, update });
+    update();
+    return settled(entry);
+  };
+
+  // Diagnostics overlay, enabled with ?debug=1 or localStorage "livedata:debug" = "1"
+  const debugEnabled = (() => {
+    try {
+      const param = new URLSearchParams(window.location.search).get("debug");
+      return param === "1" || (param === null && window.localStorage.getItem("livedata:debug") === "1");
+    } catch (e) {
+      return false;
+    }
+  })();
+
+  let diagnosticsTimer = null;
+  let diagnosticsClosed = false;
+  const scheduleDiagnostics = () => {
+    if (!debugEnabled || diagnosticsClosed || diagnosticsTimer) return;
+    diagnosticsTimer = setTimeout(() => {
+      diagnosticsTimer = null;
+      renderDiagnostics();
+    }, 50);
+  };
+
+  const diagnosticsRows = () => Array.from(sectionStatus.values()).map((status) => {
+    const entry = status.key ? payloadStore.get(status.key) : null;
+    const trace = entry && entry.trace;
+    const snapshot = entry && entry.snapshot;
+    return {
+      id: status.id,
+      state: status.error ? `error (${status.error.kind || status.error.name || "unknown"})` : (snapshot ? "ok" : "loading"),
+      error: status.error ? `${status.error.message}${status.error.url ? ` [${status.error.url}]` : ""}` : "",
+      winner: trace && trace.winner ? trace.winner : "",
+      reason: trace && trace.reason ? trace.reason : "",
+      generatedAt: snapshot && snapshot.data && snapshot.data.generated_at ? snapshot.data.generated_at : "",
+      cache: entry ? `${entry.cache}${snapshot && snapshot.fromCache ? ", showing cached copy" : ""}${snapshot && snapshot.offline ? ", offline" : ""}` : "",
+      duration: trace && trace.finishedAt ? `${trace.finishedAt - trace.startedAt} ms` : (trace ? "pending" : ""),
+      attempts: trace ? trace.attempts : [],
+      violations: status.violations || []
+    };
+  });
+
+  const renderDiagnostics = () => {
+    let panel = document.getElementById("live-debug");
+    if (!panel) {
+      panel = document.createElement("aside");
+      panel.id = "live-debug";
+      panel.className = "live-debug";
+      panel.setAttribute("aria-label", "Live data diagnostics");
+      document.body.appendChild(panel);
+    }
+    const rows = diagnosticsRows();
+    const sectionsHtml = rows.map((row) => {
+      const attempts = row.attempts
+        .map((attempt) => `<li><code>${escapeHtml(attempt.url)}</code> #${attempt.attempt}: ${escapeHtml(attempt.status ? `HTTP ${attempt.status}` : "")}${attempt.error ? ` ${escapeHtml(attempt.error)}` : ""} (${attempt.ms} ms)</li>`)
+        .join("");
+      const violations = row.violations
+        .map((violation) => `<li><code>${escapeHtml(violation.path)}</code> ${escapeHtml(violation.message)}</li>`)
+        .join("");
+      return `
+        <details open>
+          <summary><strong>#${escapeHtml(row.id)}</strong>: ${escapeHtml(row.state)}</summary>
+          <dl>
+            ${row.error ? `<dt>Error</dt><dd>${escapeHtml(row.error)}</dd>` : ""}
+            <dt>Rendered from</dt><dd>${row.winner ? `<code>${escapeHtml(row.winner)}</code>` : "-"}${row.reason ? ` (${escapeHtml(row.reason)})` : ""}</dd>
+            <dt>generated_at</dt><dd>${escapeHtml(row.generatedAt || "-")}</dd>
+            <dt>Cache</dt><dd>${escapeHtml(row.cache || "-")}</dd>
+            <dt>Refresh time</dt><dd>${escapeHtml(row.duration || "-")}</dd>
+          </dl>
+          ${attempts ? `<div>URLs tried:</div><ul>${attempts}</ul>` : ""}
+          ${violations ? `<div>Schema warnings:</div><ul>${violations}</ul>` : ""}
+        </details>
+      `;
+    }).join("");
+    panel.innerHTML = `
+      <div class=\"live-debug-header\">
+        <strong>Live data diagnostics</strong>
+        <button type=\"button\" class=\"live-debug-copy btn btn-sm btn-outline-secondary\">Copy JSON</button>
+        <button type=\"button\" class=\"live-debug-close btn btn-sm btn-outline-secondary\" aria-label=\"Close diagnostics\">Close</button>
+      </div>
+      ${sectionsHtml || "<p>No live sections on this page.</p>"}
+    `;
+    panel.querySelector(".live-debug-close").addEventListener("click", () => {
+      diagnosticsClosed = true;
+      panel.remove();
+    });
+    panel.querySelector(".live-debug-copy").addEventListener("click", () => {
+      const json = JSON.stringify(rows, null, 2);
+      if (navigator.clipboard) navigator.clipboard.writeText(json);
+      console.info("Live data diagnostics", rows);
+    });
+  };
+
   // Cache local profile so all render functions can access it
   let localProfileCache = {};
   const loadLocalProfile = async () => {
-    const candidates = [];
     const liveProfileEl = document.getElementById("live-profile");
+    const configured = siteConfig.sources && siteConfig.sources.profile;
+    if (Array.isArray(configured) && !(liveProfileEl && liveProfileEl.hasAttribute("data-profile-url"))) {
+      try {
+        // Same options as a data-live-list section reading profile.yml, so they share one request
+        const p = await loadShared(expandSources(configured), { freshness: cachePolicy.freshness || "" });
+        if (p && Object.keys(p).length) {
+          localProfileCache = p;
+          return;
+        }
+      } catch (e) {
+        // fall back to the candidate URLs below
+      }
+    }
+    const candidates = [];
     if (liveProfileEl) {
       const explicitProfileUrl = liveProfileEl.getAttribute("data-profile-url");
       if (explicitProfileUrl) {
@@ -120,7 +989,7 @@
     for (const c of candidates) {
       try {
         const p = c.includes("raw.githubusercontent.com")
-          ? await fetchWithFallback(c, null)
+          ? await loadShared(legacySources(c, null))
           : await fetchYaml(c);
         if (p && Object.keys(p).length) {
           localProfileCache = p;
@@ -133,336 +1002,668 @@
     localProfileCache = {};
   };
 
-  const renderProfile = async () => {
+  const renderProfile = () => {
     const el = document.getElementById("live-profile");
     if (!el) return;
-    const url = el.getAttribute("data-crawl-url");
-    const fallback = el.getAttribute("data-fallback");
-    const defaultPhoto = el.getAttribute("data-default-photo");
-    const defaultPhotoAlt = el.getAttribute("data-default-photo-alt") || "Profile photo";
-    const profileRoleOverride = el.getAttribute("data-profile-role");
-    const linkScholar = el.getAttribute("data-link-scholar");
-    const linkOrcid = el.getAttribute("data-link-orcid");
-    const linkGithub = el.getAttribute("data-link-github");
-    if (!url) return;
+    const sources = sectionSources(el, "data-crawl-url", "crawl");
+    const profileDefaults = siteConfig.profile || {};
+    const links = siteConfig.links || {};
+    const defaultPhoto = setting(el, "data-default-photo", profileDefaults.photo_url);
+    const defaultPhotoAlt = setting(el, "data-default-photo-alt", profileDefaults.photo_alt) || "Profile photo";
+    const profileRoleOverride = setting(el, "data-profile-role", profileDefaults.role);
+    const linkScholar = setting(el, "data-link-scholar", links.scholar);
+    const linkOrcid = setting(el, "data-link-orcid", links.orcid);
+    const linkGithub = setting(el, "data-link-github", links.github);
+    if (!sources.length) return;
 
-    try {
-      const data = await fetchWithFallback(url, fallback);
+    return bindSection(el, chainSource(sources, sectionOptions(el), "crawl"), "Failed to load live profile data.", (data) => {
       console.info("Profile payload", data);
-      const profile = data.profile || {};
       // Prefer fields from repository `data/profile.yml` when available (from cached load)
-      const localProfile = localProfileCache || {};
-      const displayName = (localProfile && localProfile.name) ? localProfile.name : profile.name;
-      let displayRole = "";
-      if (profileRoleOverride) {
-        displayRole = profileRoleOverride;
-      } else if (localProfile && typeof localProfile.role === "string") {
-        displayRole = localProfile.role;
-      }
-      const displayAffiliation = (localProfile && localProfile.affiliation) ? localProfile.affiliation : profile.affiliation;
-      const displayEmail = (localProfile && localProfile.email) ? localProfile.email : profile.email;
-      const displayLocation = (localProfile && localProfile.location) ? localProfile.location : profile.location;
-      const displayPhotoUrl = (localProfile && localProfile.photo_url) ? localProfile.photo_url : (profile.photo_url || defaultPhoto);
-      const displayPhotoAlt = (localProfile && localProfile.photo_alt) ? localProfile.photo_alt : (profile.photo_alt || defaultPhotoAlt);
-      const displayBio = (localProfile && localProfile.bio) ? localProfile.bio : profile.bio;
-      const displayKeywords = Array.isArray(localProfile.keywords)
-        ? localProfile.keywords
-        : [];
-      const metrics = data.metrics || {};
-      const metricRows = [
-        { label: "Citations", value: metrics.citations },
-        { label: "H-index", value: metrics.h_index },
-        { label: "i10-index", value: metrics.i10_index }
-      ].filter((item) => item.value);
-      const metricHtml = metricRows
-        .map((item) => `<div class=\"metric\"><span>${escapeHtml(item.label)}: </span><span> ${escapeHtml(item.value)}</span></div>`)
-        .join("");
+      el.innerHTML = LiveRender.sections.profile(data, {
+        localProfile: localProfileCache || {},
+        role: profileRoleOverride,
+        photo: defaultPhoto,
+        photoAlt: defaultPhotoAlt,
+        links: { scholar: linkScholar, orcid: linkOrcid, github: linkGithub },
+        locale
+      });
+    }, ["generated_at", "profile", "metrics"]);
+  };
 
-      const photoUrl = displayPhotoUrl || defaultPhoto;
-      const photoHtml = photoUrl
-        ? `<img class=\"profile-photo\" src=\"${escapeHtml(photoUrl)}\" alt=\"${escapeHtml(displayPhotoAlt)}\">`
-        : "";
-      const bioHtml = displayBio ? `<div class=\"bio\">${escapeHtml(displayBio)}</div>` : "";
-      const keywords = displayKeywords || [];
-      const keywordsHtml = keywords.length
-        ? `<div class=\"keywords\"><strong>Keywords:</strong> ${escapeHtml(keywords.join(", "))}</div>`
-        : "";
-      const linksHtml = [
-        linkScholar ? `<a href=\"${escapeHtml(linkScholar)}\" target=\"_blank\" rel=\"noopener\">Google Scholar</a>` : "",
-        linkOrcid ? `<a href=\"${escapeHtml(linkOrcid)}\" target=\"_blank\" rel=\"noopener\">ORCID</a>` : "",
-        linkGithub ? `<a href=\"${escapeHtml(linkGithub)}\" target=\"_blank\" rel=\"noopener\">GitHub</a>` : ""
-      ].filter(Boolean).join("");
-
-      const updatedAt = data.generated_at ? new Date(data.generated_at) : null;
-      const updatedLabel = updatedAt && !Number.isNaN(updatedAt.getTime())
-        ? new Intl.DateTimeFormat("en-GB", {
-            day: "2-digit",
-            month: "2-digit",
-            year: "2-digit",
-            hour: "2-digit",
-            minute: "2-digit",
-            second: "2-digit",
-            hour12: false
-          }).format(updatedAt).replace(",", "")
-        : "";
-
-      el.innerHTML = `
-        <div class=\"profile-hero\">
-          <div class=\"profile-layout\">
-            <div>
-              ${photoHtml}
-            </div>
-            <div class=\"profile-meta\">
-              ${displayName ? `<br><strong>${escapeHtml(displayName)}</strong>` : ""}
-              ${displayRole ? `<br>${escapeHtml(displayRole)}` : ""}
-              ${displayAffiliation ? `<br>${escapeHtml(displayAffiliation)}` : ""}
-              ${displayEmail ? `<br><a href=\"mailto:${escapeHtml(displayEmail)}\">${escapeHtml(displayEmail)}</a>` : ""}
-              ${displayLocation ? `<br>${escapeHtml(displayLocation)}` : ""}
-              ${bioHtml}
-              ${keywordsHtml}
-              ${linksHtml ? `<div class=\"profile-links\">${linksHtml}</div>` : ""}
-            </div>
-            <div class=\"profile-metrics\">
-              <strong>Metrics</strong>
-              ${metricHtml ? `<div class=\"metrics\">${metricHtml}</div>` : ""}
-            </div>
-          </div>
-        </div>
-        <div class=\"live-card\" style=\"margin-top: 0.75rem;\">
-          <strong>Last updated:</strong> ${escapeHtml(updatedLabel)}
-        </div>
-      `;
-    } catch (err) {
-      el.textContent = "Failed to load live profile data.";
+  // Generic list section: <div data-live-list data-path="profile.research_interests">.
+  // data-payload="profile" reads profile.yml (data-profile-url, data-fallback or data-sources,
+  // else the copy loaded for the profile card) instead of the crawl output. data-defaults
+  // holds the fallback items as a JSON array, or "#id" of a JSON script block.
+  const renderList = (el) => {
+    const path = el.getAttribute("data-path") || "";
+    const payload = el.getAttribute("data-payload") || "crawl";
+    const failMessage = el.getAttribute("data-error-text") || "Failed to load this section.";
+    const options = {
+      path,
+      format: el.getAttribute("data-item") || "text",
+      defaults: jsonAttribute(el, "data-defaults") || [],
+      emptyText: el.getAttribute("data-empty-text") || "Nothing to show yet."
+    };
+
+    const render = (data) => {
+      el.innerHTML = LiveRender.sections.list(data, options);
+    };
+
+    if (payload === "profile") {
+      const sources = sectionSources(el, "data-profile-url", "profile");
+      if (!sources.length) {
+        return localProfileLoaded.then(() => {
+          render(localProfileCache || {});
+          emit(el, "loaded", { data: localProfileCache || {}, url: null, fromCache: false, violations: [] });
+        });
+      }
+      return bindSection(el, chainSource(sources, sectionOptions(el)), failMessage, render);
     }
+
+    const sources = sectionSources(el, "data-crawl-url", payload);
+    if (!sources.length) return;
+    return bindSection(el, chainSource(sources, sectionOptions(el), payload), failMessage, render, [path]);
   };
 
-  const renderInterests = async () => {
-    const el = document.getElementById("live-interests");
-    if (!el) return;
-    const url = el.getAttribute("data-crawl-url");
-    const fallback = el.getAttribute("data-fallback");
-    const defaults = el.getAttribute("data-default-interests") || "";
-    if (!url) return;
+  const renderLists = () => Promise.all(Array.from(document.querySelectorAll("[data-live-list]")).map((el) => {
+    if (el.id) renderers[el.id] = () => renderList(el);
+    return renderList(el);
+  }));
 
-    try {
-      const data = await fetchWithFallback(url, fallback);
-      const profile = data.profile || {};
-      const interests = Array.isArray(profile.research_interests)
-        ? profile.research_interests
-        : (profile.research_interests ? [profile.research_interests] : []);
-      const fallbackItems = defaults
-        .split(",")
-        .map((item) => item.trim())
-        .filter((item) => item.length > 0);
-      const items = interests.length ? interests : fallbackItems;
-
-      if (!items.length) {
-        el.textContent = "Research interests not available yet.";
-        return;
-      }
+  // Item templates: data-template="#id" names a <template> cloned once per item. Inside it,
+  // data-field="name" (or <slot name="name">) sets an element's text, data-field-<attr>="name"
+  // sets an attribute, and data-if="name" drops an element when the field is blank. Values are
+  // only ever written as text or attribute values; URL attributes accept http(s) and mailto.
+  const URL_ATTRIBUTES = new Set(["href", "src", "action", "formaction", "poster", "cite", "xlink:href"]);
+  const SAFE_URL = /^(https?:|mailto:)/i;
 
-      const list = items
-        .map((item) => `<li>${escapeHtml(item)}</li>`)
-        .join("");
+  const fieldText = (value) => {
+    if (Array.isArray(value)) return LiveRender.listItems(value).join(", ");
+    return value === undefined || value === null ? "" : String(value);
+  };
 
-      el.innerHTML = `<ul class=\"interest-list\">${list}</ul>`;
-    } catch (err) {
-      el.textContent = "Failed to load research interests.";
+  const templateFor = (el) => {
+    const selector = el.getAttribute("data-template");
+    if (!selector) return null;
+    const template = document.querySelector(selector);
+    if (!template || template.tagName !== "TEMPLATE") {
+      console.warn("Live section template not found", { section: el.id, template: selector });
+      return null;
     }
+    return template;
   };
 
-  const renderFocusAreas = async () => {
-    const el = document.getElementById("live-focus");
-    if (!el) return;
-    const url = el.getAttribute("data-crawl-url");
-    const fallback = el.getAttribute("data-fallback");
-    const defaults = el.getAttribute("data-default-focus") || "";
-    if (!url) return;
+  const fillTemplate = (template, fields) => {
+    const fragment = template.content.cloneNode(true);
+    fragment.querySelectorAll("[data-if]").forEach((node) => {
+      if (!fieldText(fields[node.getAttribute("data-if")]).trim()) node.remove();
+      else node.removeAttribute("data-if");
+    });
+    fragment.querySelectorAll("slot[name]").forEach((slot) => {
+      slot.replaceWith(document.createTextNode(fieldText(fields[slot.getAttribute("name")])));
+    });
+    fragment.querySelectorAll("*").forEach((node) => {
+      Array.from(node.attributes).forEach(({ name, value: field }) => {
+        if (name === "data-field") {
+          node.removeAttribute(name);
+          node.textContent = fieldText(fields[field]);
+          return;
+        }
+        if (!name.startsWith("data-field-")) return;
+        node.removeAttribute(name);
+        const target = name.slice("data-field-".length);
+        const value = fieldText(fields[field]).trim();
+        if (target.startsWith("on") || target === "style" || target === "srcdoc") return;
+        if (URL_ATTRIBUTES.has(target) && !SAFE_URL.test(value)) {
+          node.removeAttribute(target);
+          return;
+        }
+        if (value) node.setAttribute(target, value);
+      });
+    });
+    return fragment;
+  };
+
+  // Renders items through the section's <template> if it has one, else the shared markup.
+  // `select` filters and orders the items' fields and `group`, when given, splits them into
+  // collapsible groups (see LiveRender.groupPublications). Returns the fields rendered.
+  const renderItems = (el, items, kind, html, select = (fieldsList) => fieldsList, group = null) => {
+    const selected = select(LiveRender.itemFields(items, kind));
+    const template = selected.length ? templateFor(el) : null;
+    if (!template) {
+      el.innerHTML = html();
+      return selected;
+    }
+    const first = template.content.firstElementChild;
+    const listOf = (fieldsList) => {
+      const list = document.createElement(first && first.tagName === "LI" ? "ul" : "div");
+      list.className = "live-items";
+      fieldsList.forEach((fields) => {
+        const fragment = fillTemplate(template, fields);
+        const root = fragment.firstElementChild;
+        if (root && !root.id) root.id = fields.anchor;
+        list.appendChild(fragment);
+      });
+      return list;
+    };
+    if (!group) {
+      el.replaceChildren(listOf(selected));
+      return selected;
+    }
+    const groups = document.createElement("div");
+    groups.className = "live-pub-groups";
+    group(selected).forEach((entry) => {
+      const details = document.createElement("details");
+      details.className = "live-pub-year";
+      details.setAttribute("data-group", entry.key);
+      details.open = entry.open;
+      details.innerHTML = LiveRender.groupSummary(entry);
+      details.appendChild(listOf(entry.items));
+      groups.appendChild(details);
+    });
+    el.replaceChildren(groups);
+    return selected;
+  };
 
+  // Citation style of the publication list: the reader's last choice, else data-citation-style
+  // ("" for the standard layout)
+  const CITATION_STYLE_KEY = "livedata:citation-style";
+
+  const citationStyle = (el) => {
+    let stored = null;
     try {
-      const data = await fetchWithFallback(url, fallback);
-      const profile = data.profile || {};
-      const focus = Array.isArray(profile.research_interests)
-        ? profile.research_interests
-        : (profile.research_interests ? [profile.research_interests] : []);
-      const fallbackItems = defaults
-        .split(",")
-        .map((item) => item.trim())
-        .filter((item) => item.length > 0);
-      const items = focus.length ? focus : fallbackItems;
-
-      if (!items.length) {
-        el.textContent = "Focus areas not available yet.";
-        return;
-      }
+      stored = window.localStorage.getItem(CITATION_STYLE_KEY);
+    } catch (e) {
+      stored = null;
+    }
+    const style = stored !== null ? stored : setting(el, "data-citation-style", "");
+    return style in LiveCite.styles ? style : "";
+  };
 
-      const list = items.map((item) => `<li>${escapeHtml(item)}</li>`).join("");
-      el.innerHTML = `<ul class=\"interest-list\">${list}</ul>`;
-    } catch (err) {
-      el.textContent = "Failed to load focus areas.";
+  const storeCitationStyle = (style) => {
+    try {
+      window.localStorage.setItem(CITATION_STYLE_KEY, style);
+    } catch (e) {
+      // Storage full or disabled: the choice lasts for this page only
     }
   };
 
-  const renderQualifications = async () => {
-    const el = document.getElementById("live-qualifications");
-    if (!el) return;
-    const url = el.getAttribute("data-crawl-url");
-    const fallback = el.getAttribute("data-fallback");
-    const defaults = el.getAttribute("data-default-qualifications") || "";
-    if (!url) return;
+  // Toolbar above #live-publications: text search, year range, source chips, sort order and
+  // citation style. It keeps its state across re-renders, so fresher data comes in through
+  // the same filters.
+  const publicationToolbar = (el, onChange) => {
+    const form = document.createElement("form");
+    form.className = "live-pub-toolbar";
+    form.setAttribute("role", "search");
+    form.setAttribute("aria-controls", el.id);
+    const sorts = Object.entries(LiveRender.publicationSorts)
+      .map(([value, sort]) => `<option value=\"${escapeHtml(value)}\">${escapeHtml(sort.label)}</option>`)
+      .join("");
+    const styles = Object.entries(LiveCite.styles)
+      .map(([value, style]) => `<option value=\"${escapeHtml(value)}\">${escapeHtml(style.label)}</option>`)
+      .join("");
+    form.innerHTML = `
+      <input type=\"search\" name=\"query\" class=\"form-control form-control-sm live-pub-query\" placeholder=\"Search title, authors, venue\" aria-label=\"Search publications\">
+      <span class=\"live-pub-years\">
+        <input type=\"number\" name=\"from\" class=\"form-control form-control-sm\" placeholder=\"From\" aria-label=\"From year\" step=\"1\">
+        <span aria-hidden=\"true\">–</span>
+        <input type=\"number\" name=\"to\" class=\"form-control form-control-sm\" placeholder=\"To\" aria-label=\"To year\" step=\"1\">
+      </span>
+      <span class=\"live-pub-sources\" role=\"group\" aria-label=\"Sources\"></span>
+      <label class=\"live-pub-sort\">Sort by
+        <select name=\"sort\" class=\"form-select form-select-sm\">${sorts}</select>
+      </label>
+      <label class=\"live-pub-sort\">Style
+        <select name=\"style\" class=\"form-select form-select-sm\"><option value=\"\">Standard</option>${styles}</select>
+      </label>
+      <span class=\"live-pub-count\" aria-live=\"polite\"></span>
+    `;
+    form.elements.sort.value = setting(el, "data-sort", "year");
+    form.elements.style.value = citationStyle(el);
+    form.elements.style.addEventListener("input", () => storeCitationStyle(form.elements.style.value));
+    const chips = form.querySelector(".live-pub-sources");
+    const count = form.querySelector(".live-pub-count");
+    const hidden = new Set();
 
-    try {
-      const data = await fetchWithFallback(url, fallback);
-      const items = Array.isArray(data.qualifications) ? data.qualifications : [];
-      const fallbackItems = defaults
-        .split(",")
-        .map((item) => item.trim())
-        .filter((item) => item.length > 0);
-      const listItems = items.length ? items : fallbackItems;
-
-      if (!listItems.length) {
-        el.textContent = "Qualifications not available yet.";
-        return;
+    form.addEventListener("submit", (event) => event.preventDefault());
+    form.addEventListener("input", onChange);
+    chips.addEventListener("click", (event) => {
+      const chip = event.target.closest("[data-source]");
+      if (!chip) return;
+      const source = chip.getAttribute("data-source");
+      if (hidden.has(source)) hidden.delete(source);
+      else hidden.add(source);
+      chip.setAttribute("aria-pressed", String(!hidden.has(source)));
+      onChange();
+    });
+    el.before(form);
+
+    const year = (name) => {
+      const value = parseInt(form.elements[name].value, 10);
+      return Number.isNaN(value) ? null : value;
+    };
+
+    return {
+      element: form,
+      // Chips for the known sources plus any other the data names; years bounded by the data
+      sync: (items) => {
+        const found = new Set(items.flatMap((fields) => fields.sources));
+        const names = [...Object.keys(LiveRender.publicationSources).filter((name) => found.has(name)),
+          ...[...found].filter((name) => name && !(name in LiveRender.publicationSources))];
+        chips.innerHTML = names.map((name) => `
+          <button type=\"button\" class=\"live-pub-chip\" data-source=\"${escapeHtml(name)}\" aria-pressed=\"${!hidden.has(name)}\">${escapeHtml(LiveRender.publicationSources[name] || name)}</button>
+        `).join("");
+        const years = items.map(LiveRender.publicationYear).filter((value) => value !== null);
+        ["from", "to"].forEach((name) => {
+          form.elements[name].min = years.length ? Math.min(...years) : "";
+          form.elements[name].max = years.length ? Math.max(...years) : "";
+        });
+      },
+      options: () => ({
+        query: form.elements.query.value,
+        from: year("from"),
+        to: year("to"),
+        sources: hidden.size
+          ? Array.from(chips.querySelectorAll("[data-source]"), (chip) => chip.getAttribute("data-source")).filter((name) => !hidden.has(name))
+          : null,
+        sort: form.elements.sort.value,
+        style: form.elements.style.value
+      }),
+      count: (shown, total) => {
+        count.textContent = shown === total ? `${total} publications` : `Showing ${shown} of ${total}`;
       }
+    };
+  };
 
-      const list = listItems.map((item) => `<li>${escapeHtml(item)}</li>`).join("");
-      el.innerHTML = `<ul class=\"interest-list\">${list}</ul>`;
-    } catch (err) {
-      el.textContent = "Failed to load qualifications.";
+  // Cite and Export menus: Bootstrap dropdowns that copy one format of their publications
+  // (through the clipboard.js Quarto loads, else the Clipboard API) or download it as a file.
+  // `items()` returns the fields to cite when an entry is picked.
+  const citeTargets = new WeakMap();
+  let copiesWatched = false;
+
+  const citeText = (trigger) => {
+    const target = citeTargets.get(trigger.closest(".live-cite"));
+    const format = LiveCite.formats[trigger.getAttribute("data-cite-copy")];
+    return target && format ? format.render(target.items()) : "";
+  };
+
+  const showCopied = (trigger) => {
+    const toggle = trigger.closest(".live-cite").querySelector(".dropdown-toggle");
+    const label = toggle.getAttribute("data-label");
+    toggle.textContent = "Copied";
+    setTimeout(() => {
+      toggle.textContent = label;
+    }, 1500);
+  };
+
+  const watchCopies = () => {
+    if (copiesWatched) return;
+    copiesWatched = true;
+    if (window.ClipboardJS) {
+      const clipboard = new window.ClipboardJS(".live-cite [data-cite-copy]", { text: citeText });
+      clipboard.on("success", (event) => {
+        event.clearSelection();
+        showCopied(event.trigger);
+      });
+      return;
     }
+    document.addEventListener("click", (event) => {
+      const trigger = event.target.closest(".live-cite [data-cite-copy]");
+      if (trigger && navigator.clipboard) navigator.clipboard.writeText(citeText(trigger)).then(() => showCopied(trigger));
+    });
   };
 
-  const renderPublications = async () => {
+  const downloadText = (text, filename, type) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const citeMenu = (label, filename, items) => {
+    watchCopies();
+    const formats = Object.entries(LiveCite.formats);
+    const menu = document.createElement("div");
+    menu.className = "dropdown live-cite";
+    menu.innerHTML = `
+      <button type=\"button\" class=\"btn btn-sm btn-link dropdown-toggle\" data-bs-toggle=\"dropdown\" aria-expanded=\"false\" data-label=\"${escapeHtml(label)}\">${escapeHtml(label)}</button>
+      <ul class=\"dropdown-menu\">
+        ${formats.map(([name, format]) => `<li><button type=\"button\" class=\"dropdown-item\" data-cite-copy=\"${name}\">Copy ${escapeHtml(format.label)}</button></li>`).join("")}
+        <li><hr class=\"dropdown-divider\"></li>
+        ${formats.map(([name, format]) => `<li><button type=\"button\" class=\"dropdown-item\" data-cite-download=\"${name}\">Download ${escapeHtml(format.label)} (.${format.extension})</button></li>`).join("")}
+      </ul>
+    `;
+    citeTargets.set(menu, { items });
+    menu.addEventListener("click", (event) => {
+      const trigger = event.target.closest("[data-cite-download]");
+      if (!trigger) return;
+      const format = LiveCite.formats[trigger.getAttribute("data-cite-download")];
+      downloadText(format.render(items()), `${filename}.${format.extension}`, format.type);
+    });
+    return menu;
+  };
+
+  // "Expand all" / "Collapse all" for the year groups in a section. `remember(key, open)`
+  // records the state the reader chose for a group.
+  const groupToggle = (el, remember) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "live-pub-expand btn btn-sm btn-outline-secondary";
+    const groups = () => Array.from(el.querySelectorAll("details[data-group]"));
+    const sync = () => {
+      const all = groups();
+      button.hidden = !all.length;
+      button.textContent = all.length && all.every((group) => group.open) ? "Collapse all" : "Expand all";
+    };
+    button.addEventListener("click", () => {
+      const open = !groups().every((group) => group.open);
+      groups().forEach((group) => {
+        group.open = open;
+        remember(group.getAttribute("data-group"), open);
+      });
+      sync();
+    });
+    // toggle does not bubble
+    el.addEventListener("toggle", sync, true);
+    return { button, sync };
+  };
+
+  // Toolbar, expand control and year-group state of a publications section, kept across
+  // LiveData.render() calls so the reader's filters survive them
+  const publicationControls = new WeakMap();
+
+  const renderPublications = () => {
     const el = document.getElementById("live-publications");
     if (!el) return;
-    const url = el.getAttribute("data-pubs-url");
-    const fallback = el.getAttribute("data-fallback");
-    if (!url) return;
+    const sources = sectionSources(el, "data-pubs-url", "publications");
+    if (!sources.length) return;
 
-    try {
-      const data = await fetchWithFallback(url, fallback);
+    const kind = LiveRender.items.publication;
+    const grouped = setting(el, "data-group", "") === "year";
+    const withCite = el.getAttribute("data-cite") !== "false";
+    let controls = publicationControls.get(el);
+    if (!controls) {
+      // Year groups the reader opened or closed; the others start open while a search is
+      // active and otherwise only the newest does
+      const groupState = new Map();
+      controls = { toolbar: null, expand: null, exporter: null, shown: [], groupState, draw: () => {} };
+      publicationControls.set(el, controls);
+      el.addEventListener("click", (event) => {
+        const summary = event.target.closest("summary");
+        const group = summary && summary.parentElement;
+        if (group && group.matches("details[data-group]")) groupState.set(group.getAttribute("data-group"), !group.open);
+      });
+    }
+    const { groupState } = controls;
+    let current = null;
+
+    controls.draw = () => {
+      if (!current) return;
+      const items = current.items || [];
+      const options = controls.toolbar
+        ? controls.toolbar.options()
+        : { sort: setting(el, "data-sort", "year"), style: citationStyle(el) };
+      if (options.style) options.row = LiveCite.styledRow(options.style);
+      if (grouped) {
+        const searching = Boolean((options.query || "").trim());
+        options.group = "year";
+        options.open = (group, index) => (groupState.has(group.key) ? groupState.get(group.key) : searching || index === 0);
+      }
+      const shown = renderItems(el, items, kind, () => LiveRender.sections.publications(current, options),
+        (fieldsList) => LiveRender.selectPublications(fieldsList, options),
+        grouped ? (fieldsList) => LiveRender.groupPublications(fieldsList, options.open) : null);
+      controls.shown = shown;
+      if (controls.toolbar) controls.toolbar.count(shown.length, items.length);
+      if (controls.expand) controls.expand.sync();
+      if (withCite) {
+        shown.forEach((fields) => {
+          const item = document.getElementById(fields.anchor);
+          if (item && el.contains(item)) item.appendChild(citeMenu("Cite", fields.anchor, () => [fields]));
+        });
+      }
+    };
+
+    return bindSection(el, chainSource(sources, sectionOptions(el), "publications"), "Failed to load publications.", (data) => {
       console.info("Publications payload", { count: (data.items || []).length, data });
+      current = data;
       const items = data.items || [];
-      if (!items.length) {
-        el.textContent = "No publications found yet.";
-        return;
+      if (items.length && !controls.toolbar && el.getAttribute("data-toolbar") !== "false") {
+        controls.toolbar = publicationToolbar(el, () => controls.draw());
       }
-
-      const rows = items
-        .map((item) => {
-          const title = escapeHtml(item.title || "Untitled");
-          const authors = escapeHtml(item.authors || "");
-          const venue = escapeHtml(item.venue || "");
-          const year = escapeHtml(item.year || "");
-          const sources = Array.isArray(item.sources)
-            ? item.sources
-            : (item.source ? [item.source] : []);
-          const sourceLabel = sources.length ? sources.map(escapeHtml).join(", ") : "";
-          const link = item.url ? `<a href=\"${escapeHtml(item.url)}\" target=\"_blank\" rel=\"noopener\">Link</a>` : "";
-
-          return `
-            <li>
-              <strong>${title}</strong>
-              ${authors ? `<br>${authors}` : ""}
-              ${venue ? `<br>${venue}` : ""}
-              ${year ? ` (${year})` : ""}
-              ${sourceLabel ? `<br><em>${sourceLabel}</em>` : ""}
-              ${link ? ` | ${link}` : ""}
-            </li>
-          `;
-        })
-        .join("");
-
-      el.innerHTML = `<ul>${rows}</ul>`;
-    } catch (err) {
-      el.textContent = "Failed to load publications.";
-    }
+      // Without a toolbar, the other controls go straight above the list
+      const place = (node) => (controls.toolbar ? controls.toolbar.element.appendChild(node) : el.before(node));
+      if (items.length && grouped && !controls.expand) {
+        controls.expand = groupToggle(el, (key, open) => groupState.set(key, open));
+        place(controls.expand.button);
+      }
+      if (items.length && withCite && !controls.exporter) {
+        controls.exporter = citeMenu("Export", "publications", () => controls.shown);
+        place(controls.exporter);
+      }
+      if (controls.toolbar) controls.toolbar.sync(LiveRender.itemFields(items, kind));
+      controls.draw();
+    }, ["generated_at", "items"]);
   };
 
-  const renderWorkHistory = async () => {
+  const renderWorkHistory = () => {
     const el = document.getElementById("live-history");
     if (!el) return;
-    const url = el.getAttribute("data-crawl-url");
-    const fallback = el.getAttribute("data-fallback");
-    if (!url) return;
+    const sources = sectionSources(el, "data-crawl-url", "crawl");
+    if (!sources.length) return;
 
-    try {
-      const data = await fetchWithFallback(url, fallback);
+    return bindSection(el, chainSource(sources, sectionOptions(el), "crawl"), "Failed to load work history.", (data) => {
       const items = Array.isArray(data.work_history) ? data.work_history : [];
-
-      if (!items.length) {
-        el.textContent = "Work history not available yet.";
-        return;
-      }
-
-      const rows = items
-        .map((item) => {
-          const role = escapeHtml(item.role || "");
-          const org = escapeHtml(item.organization || "");
-          const start = escapeHtml(item.start_date || "");
-          const end = escapeHtml(item.end_date || "");
-          const range = start || end ? `${start}${end ? ` - ${end}` : ""}` : "";
-          const detail = [role, org].filter(Boolean).join(", ");
-          return `<li>${detail}${range ? ` (${range})` : ""}</li>`;
-        })
-        .join("");
-
-      el.innerHTML = `<ul>${rows}</ul>`;
-    } catch (err) {
-      el.textContent = "Failed to load work history.";
-    }
+      renderItems(el, items, LiveRender.items.workHistory, () => LiveRender.sections.workHistory(data));
+    }, ["work_history"]);
   };
 
-  const renderRepos = async () => {
+  const renderRepos = () => {
     const el = document.getElementById("live-repos");
     if (!el) return;
-    const user = el.getAttribute("data-github-user");
+    const user = setting(el, "data-github-user", siteConfig.github_user);
     if (!user) return;
 
-    try {
-      const url = `https://api.github.com/users/${user}/repos?per_page=12&sort=updated`;
-      const repos = await fetchJson(url);
+    const url = `https://api.github.com/users/${user}/repos?per_page=12&sort=updated`;
+    const { freshness, ...policy } = sectionOptions(el);
+    const source = { key: url, cacheKey: url, load: (signal, trace) => fetchJson(url, { ...policy, signal, trace }) };
+    const kind = { ...LiveRender.items.repo, fields: (repo) => LiveRender.items.repo.fields(repo, locale) };
+    return bindSection(el, source, "Failed to load repositories.", (repos) => {
+      const items = Array.isArray(repos) ? repos.filter((repo) => !repo.fork) : [];
+      renderItems(el, items, kind, () => LiveRender.sections.repos(repos, locale));
+    });
+  };
 
-      if (!Array.isArray(repos) || repos.length === 0) {
-        el.textContent = "No repositories found.";
-        return;
-      }
+  Object.assign(renderers, {
+    "live-profile": renderProfile,
+    "live-history": renderWorkHistory,
+    "live-publications": renderPublications,
+    "live-repos": renderRepos
+  });
 
-      const rows = repos
-        .filter((repo) => !repo.fork)
-        .map((repo) => {
-          const name = escapeHtml(repo.name || "");
-          const desc = escapeHtml(repo.description || "");
-          const topics = Array.isArray(repo.topics) ? repo.topics.map(escapeHtml).join(", ") : "";
-          const updated = repo.updated_at ? new Date(repo.updated_at).toLocaleDateString() : "";
-
-          return `
-            <li>
-              <a href=\"${escapeHtml(repo.html_url)}\" target=\"_blank\" rel=\"noopener\">${name}</a>
-              ${desc ? `<br>${desc}` : ""}
-              ${topics ? `<br><small>Topics: ${topics}</small>` : ""}
-              ${updated ? `<br><small>Updated: ${escapeHtml(updated)}</small>` : ""}
-            </li>
-          `;
-        })
-        .join("");
+  // Revalidates every payload in the store; bound sections re-render as data lands
+  const refreshAll = () => {
+    const entries = Array.from(payloadStore.values());
+    return Promise.all(entries.map((entry) => revalidate(entry, true)));
+  };
 
-      el.innerHTML = `<ul>${rows}</ul>`;
-    } catch (err) {
-      el.textContent = "Failed to load repositories.";
+  // Update checks (live.refresh in data/sections.yml): every `interval` seconds while the tab
+  // is visible, and when it becomes visible again, re-fetch each dated payload. Newer data is
+  // offered through a banner rather than swapped in under the reader.
+  const refreshPolicy = siteConfig.refresh || {};
+  const MIN_CHECK_GAP = 60000;
+  const pendingUpdates = new Map();
+  const dismissedUpdates = new Map();
+  let updateCheck = null;
+  let lastUpdateCheck = Date.now();
+
+  const hideUpdateBanner = () => {
+    const banner = document.getElementById("live-update-banner");
+    if (banner) banner.remove();
+  };
+
+  const applyUpdates = () => {
+    pendingUpdates.forEach(({ entry, data, snapshot }) => {
+      writeCache(entry.source.cacheKey, data, snapshot.url);
+      entry.error = null;
+      entry.snapshot = snapshot;
+      notify(entry);
+    });
+    pendingUpdates.clear();
+    hideUpdateBanner();
+  };
+
+  const showUpdateBanner = () => {
+    if (document.getElementById("live-update-banner")) return;
+    const banner = document.createElement("div");
+    banner.id = "live-update-banner";
+    banner.className = "live-update-banner";
+    banner.setAttribute("role", "status");
+    banner.innerHTML = `
+      <span>New data available —</span>
+      <button type=\"button\" class=\"btn btn-sm btn-primary\" data-action=\"update\">Update</button>
+      <button type=\"button\" class=\"btn btn-sm btn-link\" data-action=\"dismiss\" aria-label=\"Dismiss\">Not now</button>
+    `;
+    banner.querySelector("[data-action=update]").addEventListener("click", applyUpdates);
+    banner.querySelector("[data-action=dismiss]").addEventListener("click", () => {
+      // Stay quiet until something newer than what was turned down turns up
+      pendingUpdates.forEach(({ entry, data }) => dismissedUpdates.set(entry.key, generatedTime(data)));
+      pendingUpdates.clear();
+      hideUpdateBanner();
+    });
+    document.body.appendChild(banner);
+  };
+
+  // Resolves true when newer data is waiting behind the banner
+  const checkForUpdates = () => {
+    if (updateCheck) return updateCheck;
+    lastUpdateCheck = Date.now();
+    const entries = Array.from(payloadStore.values())
+      .filter((entry) => entry.snapshot && generatedTime(entry.snapshot.data) !== null);
+    updateCheck = Promise.all(entries.map(async (entry) => {
+      const trace = { attempts: [], winner: null, reason: null, startedAt: Date.now(), finishedAt: null };
+      try {
+        const data = await loadCoordinated(entry, null, trace);
+        const time = generatedTime(data);
+        const shown = Math.max(generatedTime(entry.snapshot.data), dismissedUpdates.get(entry.key) || 0);
+        if (time === null || time <= shown) return;
+        const snapshot = makeSnapshot(entry.source.schema, data, { fromCache: false, url: trace.winner });
+        pendingUpdates.set(entry.key, { entry, data, snapshot });
+      } catch (err) {
+        console.info("Live data update check failed", { key: entry.key, error: err?.message || String(err) });
+      }
+    })).then(() => {
+      updateCheck = null;
+      if (pendingUpdates.size) showUpdateBanner();
+      return pendingUpdates.size > 0;
+    });
+    return updateCheck;
+  };
+
+  const watchForUpdates = () => {
+    const interval = Number(refreshPolicy.interval) * 1000;
+    if (interval > 0) {
+      // Counted from the last check, this tab's or one another tab's broadcast stood in for,
+      // so open tabs take turns rather than each polling on its own clock
+      const gap = Math.max(interval, MIN_CHECK_GAP);
+      const tick = () => {
+        const wait = lastUpdateCheck + gap - Date.now();
+        if (wait > 0) {
+          setTimeout(tick, wait);
+          return;
+        }
+        if (!document.hidden) checkForUpdates();
+        setTimeout(tick, gap);
+      };
+      setTimeout(tick, gap);
     }
+    if (refreshPolicy.on_visible) {
+      document.addEventListener("visibilitychange", () => {
+        if (!document.hidden && Date.now() - lastUpdateCheck >= MIN_CHECK_GAP) checkForUpdates();
+      });
+    }
+  };
+
+  // Newest loaded snapshot validated against `schema` ("crawl" or "publications")
+  const cachedData = (schema) => {
+    const snapshots = Array.from(payloadStore.values())
+      .filter((entry) => entry.source.schema === schema && entry.snapshot)
+      .map((entry) => entry.snapshot.data);
+    if (!snapshots.length) return null;
+    return snapshots.reduce((best, data) => ((generatedTime(data) || 0) > (generatedTime(best) || 0) ? data : best));
   };
 
-  // Load local profile once, then render sections
-  (async () => {
-    await loadLocalProfile();
-    await renderProfile();
-    renderFocusAreas();
-    renderWorkHistory();
-    renderInterests();
-    renderQualifications();
-    renderPublications();
-    renderRepos();
+  const CONFIGURABLE = ["timeout", "retries", "backoff", "maxRetryAfter"];
+
+  // Only the profile card and data-payload="profile" lists use data/profile.yml, so other
+  // pages never fetch it, and only those sections wait for it
+  const localProfileLoaded = document.getElementById("live-profile")
+    || document.querySelector("[data-live-list][data-payload=\"profile\"]")
+    ? loadLocalProfile()
+    : Promise.resolve();
+
+  // Render every section; the profile card first waits for the local profile
+  const ready = (async () => {
+    await Promise.all([
+      localProfileLoaded.then(renderProfile),
+      renderLists(),
+      renderWorkHistory(),
+      renderPublications(),
+      renderRepos()
+    ]);
+    watchForUpdates();
   })();
+
+  // Public API for other scripts on the page (documented in README.md):
+  //   LiveData.ready                       resolves once every section has rendered or failed
+  //   LiveData.render(id)                  re-runs one section's renderer
+  //   LiveData.refresh()                   re-fetches every loaded payload in the background
+  //   LiveData.checkForUpdates()           looks for newer data and offers it in the update banner
+  //   LiveData.applyUpdates()              renders the newer data the banner is offering
+  //   LiveData.get("crawl" | "publications")  frozen payload already loaded, or null
+  //   LiveData.load(sources, options)      loads a source chain through the shared store
+  //   LiveData.bind(el, options, render)   renders an element from a source chain, with the
+  //                                        same caching, error states and Retry as built-in sections
+  //   LiveData.configure(options)          changes the fetch defaults (timeout, retries, ...)
+  //   LiveData.registerSection(id, render) adds a renderer for render(id) and Retry
+  //   LiveData.registerSourceType(type, definition)  adds a data-source type
+  //   LiveData.status()                    per-section diagnostics rows
+  window.LiveData = Object.freeze({
+    ready,
+    render: (id) => {
+      const render = renderers[id];
+      if (!render) return Promise.reject(new Error(`No live section renderer for "${id}"`));
+      return Promise.resolve(render());
+    },
+    refresh: refreshAll,
+    checkForUpdates,
+    applyUpdates,
+    get: (schema) => cachedData(schema),
+    load: (sources, options = {}) => {
+      const { schema = null, ...fetchOptions } = options;
+      return loadShared(expandSources(sources), fetchOptions, schema);
+    },
+    bind: (target, options, render) => {
+      const el = typeof target === "string" ? document.getElementById(target) : target;
+      if (!el) return Promise.resolve();
+      const { sources, schema = null, failMessage = "Failed to load live data.", paths = [], ...fetchOptions } = options;
+      return bindSection(el, chainSource(expandSources(sources), { ...sectionOptions(el), ...fetchOptions }, schema), failMessage, render, paths);
+    },
+    configure: (options = {}) => {
+      CONFIGURABLE.forEach((key) => {
+        if (options[key] !== undefined) DEFAULT_POLICY[key] = options[key];
+      });
+      return CONFIGURABLE.reduce((current, key) => ({ ...current, [key]: DEFAULT_POLICY[key] }), {});
+    },
+    registerSection: (id, render) => {
+      if (typeof render !== "function") throw new Error("registerSection needs a render function");
+      renderers[id] = render;
+    },
+    registerSourceType,
+    status: () => diagnosticsRows(),
+    errors: { LiveDataError, NetworkError, HttpError, RateLimitError, ParseError, SchemaError }
+  });
 })();
@@ -0,0 +1,421 @@
+// HTML for the live sections, as pure functions of their payloads. live-data.js renders
+// with these in the browser and scripts/prerender.js writes the same markup into docs/.
+// Loaded as window.LiveRender in the browser and with require() from Node scripts.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LiveRender = factory();
+  }
+})(typeof self !== "undefined" ? self : this, () => {
+  const escapeHtml = (value) => {
+    if (!value) return "";
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#039;");
+  };
+
+  const formatTimestamp = (value, locale = "en-GB") => {
+    const date = value ? new Date(value) : null;
+    if (!date || Number.isNaN(date.getTime())) return "";
+    return new Intl.DateTimeFormat(locale, {
+      day: "2-digit",
+      month: "2-digit",
+      year: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hour12: false
+    }).format(date).replace(",", "");
+  };
+
+  // Value at a dotted path such as "profile.research_interests"
+  const valueAt = (data, path) => path.split(".").filter(Boolean)
+    .reduce((value, key) => (value && typeof value === "object" ? value[key] : undefined), data);
+
+  const isBlankItem = (item) => item === undefined || item === null
+    || (typeof item === "string" && !item.trim())
+    || (typeof item === "object" && !Object.values(item).some((value) => value !== null && String(value).trim()));
+
+  const listItems = (value) => (Array.isArray(value) ? value : [value])
+    .filter((item) => !isBlankItem(item));
+
+  const safeLink = (url) => (typeof url === "string" && /^https?:\/\//.test(url) ? url : "");
+
+  // Profile card. `options` carries profile.yml (`localProfile`, preferred over the crawl),
+  // the `role`, `photo` and `photoAlt` defaults, `links` and the `locale` for dates.
+  const profile = (data, options = {}) => {
+    const { localProfile = {}, role = "", photo = "", photoAlt = "Profile photo", links = {}, locale } = options;
+    const crawled = data.profile || {};
+    const displayName = localProfile.name ? localProfile.name : crawled.name;
+    let displayRole = "";
+    if (role) {
+      displayRole = role;
+    } else if (typeof localProfile.role === "string") {
+      displayRole = localProfile.role;
+    }
+    const displayAffiliation = localProfile.affiliation ? localProfile.affiliation : crawled.affiliation;
+    const displayEmail = localProfile.email ? localProfile.email : crawled.email;
+    const displayLocation = localProfile.location ? localProfile.location : crawled.location;
+    const displayPhotoUrl = localProfile.photo_url ? localProfile.photo_url : (crawled.photo_url || photo);
+    const displayPhotoAlt = localProfile.photo_alt ? localProfile.photo_alt : (crawled.photo_alt || photoAlt);
+    const displayBio = localProfile.bio ? localProfile.bio : crawled.bio;
+    const keywords = Array.isArray(localProfile.keywords) ? localProfile.keywords : [];
+    const metrics = data.metrics || {};
+    const metricRows = [
+      { label: "Citations", value: metrics.citations },
+      { label: "H-index", value: metrics.h_index },
+      { label: "i10-index", value: metrics.i10_index }
+    ].filter((item) => item.value);
+    const metricHtml = metricRows
+      .map((item) => `<div class="metric"><span>${escapeHtml(item.label)}: </span><span> ${escapeHtml(item.value)}</span></div>`)
+      .join("");
+
+    const photoUrl = displayPhotoUrl || photo;
+    const photoHtml = photoUrl
+      ? `<img class="profile-photo" src="${escapeHtml(photoUrl)}" alt="${escapeHtml(displayPhotoAlt)}">`
+      : "";
+    const bioHtml = displayBio ? `<div class="bio">${escapeHtml(displayBio)}</div>` : "";
+    const keywordsHtml = keywords.length
+      ? `<div class="keywords"><strong>Keywords:</strong> ${escapeHtml(keywords.join(", "))}</div>`
+      : "";
+    const linksHtml = [
+      links.scholar ? `<a href="${escapeHtml(links.scholar)}" target="_blank" rel="noopener">Google Scholar</a>` : "",
+      links.orcid ? `<a href="${escapeHtml(links.orcid)}" target="_blank" rel="noopener">ORCID</a>` : "",
+      links.github ? `<a href="${escapeHtml(links.github)}" target="_blank" rel="noopener">GitHub</a>` : ""
+    ].filter(Boolean).join("");
+
+    const updatedLabel = formatTimestamp(data.generated_at, locale);
+
+    return `
+      <div class="profile-hero">
+        <div class="profile-layout">
+          <div>
+            ${photoHtml}
+          </div>
+          <div class="profile-meta">
+            ${displayName ? `<br><strong>${escapeHtml(displayName)}</strong>` : ""}
+            ${displayRole ? `<br>${escapeHtml(displayRole)}` : ""}
+            ${displayAffiliation ? `<br>${escapeHtml(displayAffiliation)}` : ""}
+            ${displayEmail ? `<br><a href="mailto:${escapeHtml(displayEmail)}">${escapeHtml(displayEmail)}</a>` : ""}
+            ${displayLocation ? `<br>${escapeHtml(displayLocation)}` : ""}
+            ${bioHtml}
+            ${keywordsHtml}
+            ${linksHtml ? `<div class="profile-links">${linksHtml}</div>` : ""}
+          </div>
+          <div class="profile-metrics">
+            <strong>Metrics</strong>
+            ${metricHtml ? `<div class="metrics">${metricHtml}</div>` : ""}
+          </div>
+        </div>
+      </div>
+      <div class="live-card" style="margin-top: 0.75rem;">
+        <strong>Last updated:</strong> ${escapeHtml(updatedLabel)}
+      </div>
+    `;
+  };
+
+  // Item layouts for list sections, picked with data-item (default "text")
+  const listFormats = {
+    text: {
+      listClass: "interest-list",
+      item: (item) => escapeHtml(typeof item === "object"
+        ? Object.values(item).filter((value) => value !== null && String(value).trim()).join(", ")
+        : String(item).trim())
+    },
+    qualification: {
+      listClass: "qualification-list",
+      item: (item) => {
+        if (typeof item !== "object") return escapeHtml(String(item).trim());
+        const where = [item.institution, item.country].filter(Boolean).join(", ");
+        const thesis = safeLink(item.thesis_url);
+        return [
+          `<span class="qualification-degree">${escapeHtml(item.degree || "")}</span>`,
+          where ? `<span class="qualification-where">${escapeHtml(where)}</span>` : "",
+          item.year ? `<span class="qualification-year">${escapeHtml(item.year)}</span>` : "",
+          thesis ? `<a class="qualification-thesis" href="${escapeHtml(thesis)}" target="_blank" rel="noopener">Thesis</a>` : ""
+        ].filter(Boolean).join(" ");
+      }
+    }
+  };
+
+  // List section: the array at `path`, else `defaults`, else `emptyText`
+  const list = (data, options = {}) => {
+    const { path = "", format = "text", defaults = [], emptyText = "Nothing to show yet." } = options;
+    const layout = listFormats[format] || listFormats.text;
+    const found = listItems(valueAt(data, path));
+    const items = found.length ? found : listItems(defaults);
+    if (!items.length) return escapeHtml(emptyText);
+    const rows = items.map((item) => `<li>${layout.item(item)}</li>`).join("");
+    return `<ul class="${layout.listClass}">${rows}</ul>`;
+  };
+
+  // Stable fragment ids for items, so search results (scripts/search-index.js) can link to them.
+  // The "item-" prefixes keep them clear of Quarto's heading ids (#work-history).
+  const slug = (text) => String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60)
+    .replace(/-+$/, "");
+
+  const anchorIds = (items, kind) => {
+    const seen = new Map();
+    return items.map((item) => {
+      const base = `${kind.prefix}-${slug(kind.label(item)) || "item"}`;
+      const count = (seen.get(base) || 0) + 1;
+      seen.set(base, count);
+      return count === 1 ? base : `${base}-${count}`;
+    });
+  };
+
+  // Links for a publication's DOI, PMID and PMCID. Europe PMC takes the PMCID when there is
+  // one, else the PMID.
+  const identifierLinks = (item) => {
+    const doi = item.doi ? String(item.doi) : "";
+    const pmid = item.pmid ? String(item.pmid) : "";
+    const pmcid = item.pmcid ? String(item.pmcid) : "";
+    let europepmc = "";
+    if (pmcid) europepmc = `https://europepmc.org/article/PMC/${encodeURIComponent(pmcid)}`;
+    else if (pmid) europepmc = `https://europepmc.org/article/MED/${encodeURIComponent(pmid)}`;
+    return {
+      doi_url: doi ? `https://doi.org/${encodeURI(doi)}` : "",
+      pubmed_url: pmid ? `https://pubmed.ncbi.nlm.nih.gov/${encodeURIComponent(pmid)}/` : "",
+      europepmc_url: europepmc
+    };
+  };
+
+  // DOI, PubMed and Europe PMC badges for a publication's fields
+  const identifierBadges = (fields) => {
+    const badges = [
+      { label: "DOI", url: fields.doi_url, title: fields.doi },
+      { label: "PubMed", url: fields.pubmed_url, title: fields.pmid ? `PMID ${fields.pmid}` : "" },
+      { label: "Europe PMC", url: fields.europepmc_url, title: fields.pmcid || (fields.pmid ? `PMID ${fields.pmid}` : "") }
+    ].filter((badge) => badge.url);
+    if (!badges.length) return "";
+    const links = badges.map((badge) => (
+      `<a class="live-pub-id" href="${escapeHtml(badge.url)}" title="${escapeHtml(badge.title)}" target="_blank" rel="noopener">${escapeHtml(badge.label)}</a>`
+    )).join("");
+    return `<span class="live-pub-ids">${links}</span>`;
+  };
+
+  // Each item kind has a `fields` function (the values a <template> can bind), a `row`
+  // function (the built-in markup for those values) and an id `prefix` and `label`.
+  // A publication's `url` is its DOI link when it has one, else the crawled link (`link`).
+  const publication = {
+    prefix: "item-pub",
+    label: (item) => item.title,
+    fields: (item) => {
+      const ids = identifierLinks(item);
+      return {
+        ...item,
+        title: item.title || "Untitled",
+        authors: item.authors || "",
+        venue: item.venue || "",
+        year: item.year || "",
+        url: ids.doi_url || item.url || "",
+        link: item.url || "",
+        doi: item.doi || "",
+        pmid: item.pmid ? String(item.pmid) : "",
+        pmcid: item.pmcid || "",
+        ...ids,
+        sources: Array.isArray(item.sources) ? item.sources : (item.source ? [item.source] : [])
+      };
+    },
+    row: (fields) => {
+      const authors = escapeHtml(fields.authors);
+      const venue = escapeHtml(fields.venue);
+      const year = escapeHtml(fields.year);
+      const sourceLabel = fields.sources.length ? fields.sources.map(escapeHtml).join(", ") : "";
+      const link = fields.url ? `<a href="${escapeHtml(fields.url)}" target="_blank" rel="noopener">Link</a>` : "";
+      const badges = identifierBadges(fields);
+
+      return `
+        <li id="${escapeHtml(fields.anchor)}">
+          <strong>${escapeHtml(fields.title)}</strong>
+          ${authors ? `<br>${authors}` : ""}
+          ${venue ? `<br>${venue}` : ""}
+          ${year ? ` (${year})` : ""}
+          ${sourceLabel ? `<br><em>${sourceLabel}</em>` : ""}
+          ${link ? ` | ${link}` : ""}
+          ${badges ? ` ${badges}` : ""}
+        </li>
+      `;
+    }
+  };
+
+  const workHistory = {
+    prefix: "item-work",
+    label: (item) => [item.role, item.organization].filter(Boolean).join(" "),
+    fields: (item) => {
+      const start = item.start_date || "";
+      const end = item.end_date || "";
+      return {
+        ...item,
+        role: item.role || "",
+        organization: item.organization || "",
+        start_date: start,
+        end_date: end,
+        range: start || end ? `${start}${end ? ` - ${end}` : ""}` : ""
+      };
+    },
+    row: (fields) => {
+      const detail = [fields.role, fields.organization].filter(Boolean).map(escapeHtml).join(", ");
+      return `<li id="${escapeHtml(fields.anchor)}">${detail}${fields.range ? ` (${escapeHtml(fields.range)})` : ""}</li>`;
+    }
+  };
+
+  const repo = {
+    prefix: "item-repo",
+    label: (item) => item.name,
+    fields: (item, locale = "en-GB") => ({
+      ...item,
+      name: item.name || "",
+      description: item.description || "",
+      url: item.html_url || "",
+      topics: Array.isArray(item.topics) ? item.topics : [],
+      updated: item.updated_at ? new Date(item.updated_at).toLocaleDateString(locale) : ""
+    }),
+    row: (fields) => {
+      const desc = escapeHtml(fields.description);
+      const topics = fields.topics.map(escapeHtml).join(", ");
+
+      return `
+        <li id="${escapeHtml(fields.anchor)}">
+          <a href="${escapeHtml(fields.url)}" target="_blank" rel="noopener">${escapeHtml(fields.name)}</a>
+          ${desc ? `<br>${desc}` : ""}
+          ${topics ? `<br><small>Topics: ${topics}</small>` : ""}
+          ${fields.updated ? `<br><small>Updated: ${escapeHtml(fields.updated)}</small>` : ""}
+        </li>
+      `;
+    }
+  };
+
+  // Fields for every item, each with its `anchor` id
+  const itemFields = (items, kind) => {
+    const ids = anchorIds(items, kind);
+    return items.map((item, index) => ({ ...kind.fields(item), anchor: ids[index] }));
+  };
+
+  const rows = (items, kind) => `<ul>${itemFields(items, kind).map(kind.row).join("")}</ul>`;
+
+  const publicationYear = (fields) => {
+    const match = String(fields.year || "").match(/\d{4}/);
+    return match ? Number(match[0]) : null;
+  };
+
+  const folded = (text) => String(text || "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+  // Source names as the crawl writes them, with their display labels
+  const PUBLICATION_SOURCES = {
+    Scholar: "Google Scholar",
+    orcid: "ORCID",
+    OpenAlex: "OpenAlex",
+    SemanticScholar: "Semantic Scholar"
+  };
+  const PUBLICATION_SORTS = {
+    year: { label: "Year", compare: (a, b) => (publicationYear(b) || 0) - (publicationYear(a) || 0) },
+    citations: { label: "Citations", compare: (a, b) => (Number(b.citations) || 0) - (Number(a.citations) || 0) },
+    title: { label: "Title", compare: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: "base" }) }
+  };
+
+  // Publication list controls. `query` matches every word against title, authors and venue;
+  // `from`/`to` bound the year (undated items drop out once either is set); `sources` keeps
+  // items any of the listed sources found (all items when unset); `sort` is "year" (newest
+  // first), "citations" (most first), "title", or anything else for the crawl order.
+  const selectPublications = (fieldsList, options = {}) => {
+    const { query = "", from = null, to = null, sources = null, sort = "" } = options;
+    const words = folded(query).split(/\s+/).filter(Boolean);
+    const active = sources ? new Set(sources) : null;
+    const selected = fieldsList.filter((fields) => {
+      const haystack = folded([fields.title, fields.authors, fields.venue].join(" "));
+      if (!words.every((word) => haystack.includes(word))) return false;
+      const year = publicationYear(fields);
+      if ((from || to) && year === null) return false;
+      if (from && year < from) return false;
+      if (to && year > to) return false;
+      return !active || fields.sources.some((source) => active.has(source));
+    });
+    const order = PUBLICATION_SORTS[sort];
+    // Array.prototype.sort is stable, so ties keep the crawl order
+    return order ? selected.sort(order.compare) : selected;
+  };
+
+  // Publications by year, newest first, with items that have no usable year last under
+  // "Undated". `open(group, index)` says which groups start expanded (default: the newest).
+  const groupPublications = (fieldsList, open = (group, index) => index === 0) => {
+    const groups = new Map();
+    fieldsList.forEach((fields) => {
+      const year = publicationYear(fields);
+      const key = year === null ? "undated" : String(year);
+      if (!groups.has(key)) groups.set(key, { key, label: year === null ? "Undated" : key, year, items: [] });
+      groups.get(key).items.push(fields);
+    });
+    return [...groups.values()]
+      .sort((a, b) => (b.year === null ? -Infinity : b.year) - (a.year === null ? -Infinity : a.year))
+      .map((group, index) => ({ ...group, open: Boolean(open(group, index)) }));
+  };
+
+  const groupSummary = (group) => {
+    const count = group.items.length;
+    return `<summary>${escapeHtml(group.label)} <span class="live-pub-year-count" aria-label="${count} ${count === 1 ? "publication" : "publications"}">${count}</span></summary>`;
+  };
+
+  const groupRows = (groups, row) => groups.map((group) => `
+    <details class="live-pub-year" data-group="${escapeHtml(group.key)}"${group.open ? " open" : ""}>
+      ${groupSummary(group)}
+      <ul>${group.items.map(row).join("")}</ul>
+    </details>
+  `).join("");
+
+  // `options` are the selectPublications controls, plus `group: "year"` (with an optional
+  // `open`, as for groupPublications) to put the items under year headings and `row` to
+  // replace publication.row (LiveCite.styledRow writes formatted citations)
+  const publications = (data, options = {}) => {
+    const items = data.items || [];
+    if (!items.length) return escapeHtml("No publications found yet.");
+    const selected = selectPublications(itemFields(items, publication), options);
+    if (!selected.length) return escapeHtml("No publications match these filters.");
+    const row = options.row || publication.row;
+    if (options.group === "year") {
+      return `<div class="live-pub-groups">${groupRows(groupPublications(selected, options.open), row)}</div>`;
+    }
+    return `<ul>${selected.map(row).join("")}</ul>`;
+  };
+
+  const workHistoryList = (data) => {
+    const items = Array.isArray(data.work_history) ? data.work_history : [];
+    return items.length ? rows(items, workHistory) : escapeHtml("Work history not available yet.");
+  };
+
+  const repos = (list, locale) => {
+    const items = Array.isArray(list) ? list.filter((item) => !item.fork) : [];
+    if (!items.length) return escapeHtml("No repositories found.");
+    const kind = { ...repo, fields: (item) => repo.fields(item, locale) };
+    return rows(items, kind);
+  };
+
+  return {
+    escapeHtml,
+    formatTimestamp,
+    valueAt,
+    isBlankItem,
+    listItems,
+    listFormats,
+    itemFields,
+    identifierBadges,
+    publicationYear,
+    publicationSources: PUBLICATION_SOURCES,
+    publicationSorts: PUBLICATION_SORTS,
+    selectPublications,
+    groupPublications,
+    groupSummary,
+    items: { publication, workHistory, repo },
+    sections: { profile, list, publications, workHistory: workHistoryList, repos }
+  };
+});
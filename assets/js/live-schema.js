@@ -0,0 +1,190 @@
+// Schemas for the crawl outputs (data/crawl/crawl.yml, data/crawl/publications.yml).
+// Loaded as window.LiveSchema in the browser and with require() from Node scripts.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LiveSchema = factory();
+  }
+})(typeof self !== "undefined" ? self : this, () => {
+  const isBlank = (value) => value === undefined || value === null || value === "";
+
+  // Scalar checks. Blank values are allowed everywhere: the crawler writes "" for
+  // anything a source did not provide.
+  const scalars = {
+    string: (value) => typeof value === "string",
+    numeric: (value) => (typeof value === "number" && Number.isFinite(value))
+      || (typeof value === "string" && /^\d+(\.\d+)?$/.test(value.trim())),
+    // Any value with a four-digit year in it ("2020", "2020-05"), as LiveRender.publicationYear reads it
+    year: (value) => /\d{4}/.test(String(value)),
+    date: (value) => typeof value === "string" && /^\d{4}(-\d{2}(-\d{2})?)?$/.test(value),
+    datetime: (value) => typeof value === "string" && !Number.isNaN(Date.parse(value)),
+    url: (value) => typeof value === "string" && /^(https?:\/\/|mailto:)/.test(value),
+    // Publication identifiers, bare: "10.1038/s41591-025-04138-z", "31924551", "PMC7172367"
+    doi: (value) => typeof value === "string" && /^10\.\d{4,9}\/\S+$/.test(value),
+    pmid: (value) => /^\d+$/.test(String(value).trim()),
+    pmcid: (value) => typeof value === "string" && /^PMC\d+$/.test(value)
+  };
+
+  const describe = (value) => {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    return typeof value === "object" ? "object" : `${typeof value} ${JSON.stringify(value)}`;
+  };
+
+  // Returns { value, errors }: value keeps everything that passed, with invalid fields
+  // and array items dropped, so callers can render the valid parts. Objects missing a
+  // required field are also flagged `incomplete`, which drops them from their array.
+  const validate = (value, schema, path = "") => {
+    const errors = [];
+    const at = (key) => (path ? `${path}.${key}` : String(key));
+
+    if (schema.type === "object") {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        errors.push({ path, message: `expected object, got ${describe(value)}` });
+        return { value: undefined, errors };
+      }
+      const result = { ...value };
+      const missing = (schema.required || []).filter((key) => isBlank(value[key]));
+      missing.forEach((key) => errors.push({ path: at(key), message: "is required" }));
+      Object.entries(schema.properties || {}).forEach(([key, child]) => {
+        if (isBlank(value[key])) return;
+        const checked = validate(value[key], child, at(key));
+        errors.push(...checked.errors);
+        if (checked.value === undefined) delete result[key];
+        else result[key] = checked.value;
+      });
+      return { value: result, errors, incomplete: missing.length > 0 };
+    }
+
+    if (schema.type === "array") {
+      // YAML written from R unboxes one-element vectors, so a lone scalar counts as a list
+      const list = Array.isArray(value) ? value : [value];
+      const items = [];
+      list.forEach((item, index) => {
+        const checked = validate(item, schema.items, at(index));
+        errors.push(...checked.errors);
+        if (checked.value !== undefined && !checked.incomplete) items.push(checked.value);
+      });
+      return { value: items, errors };
+    }
+
+    if (schema.oneOf) {
+      const attempts = schema.oneOf.map((option) => validate(value, option, path));
+      const match = attempts.find((attempt) => attempt.errors.length === 0);
+      if (match) return match;
+      errors.push({ path, message: `does not match any allowed shape (got ${describe(value)})` });
+      return { value: undefined, errors };
+    }
+
+    const check = scalars[schema.type];
+    if (check && !isBlank(value) && !check(value)) {
+      errors.push({ path, message: `expected ${schema.type}, got ${describe(value)}` });
+      return { value: undefined, errors };
+    }
+    return { value, errors };
+  };
+
+  const stringList = { type: "array", items: { type: "string" } };
+
+  const schemas = {
+    crawl: {
+      type: "object",
+      required: ["generated_at", "profile"],
+      properties: {
+        generated_at: { type: "datetime" },
+        profile: {
+          type: "object",
+          properties: {
+            name: { type: "string" },
+            role: { type: "string" },
+            affiliation: { type: "string" },
+            email: { type: "string" },
+            location: { type: "string" },
+            bio: { type: "string" },
+            research_interests: stringList,
+            photo_url: { type: "url" },
+            photo_alt: { type: "string" }
+          }
+        },
+        metrics: {
+          type: "object",
+          properties: {
+            citations: { type: "numeric" },
+            h_index: { type: "numeric" },
+            i10_index: { type: "numeric" },
+            works_count: { type: "numeric" }
+          }
+        },
+        work_history: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["organization"],
+            properties: {
+              role: { type: "string" },
+              organization: { type: "string" },
+              start_date: { type: "date" },
+              end_date: { type: "date" }
+            }
+          }
+        },
+        qualifications: {
+          type: "array",
+          // Plain strings are still accepted from crawls written before qualifications were structured
+          items: {
+            oneOf: [
+              { type: "string" },
+              {
+                type: "object",
+                required: ["degree"],
+                properties: {
+                  degree: { type: "string" },
+                  institution: { type: "string" },
+                  country: { type: "string" },
+                  year: { type: "year" },
+                  thesis_url: { type: "url" }
+                }
+              }
+            ]
+          }
+        },
+        sources: { type: "array", items: { type: "url" } }
+      }
+    },
+    publications: {
+      type: "object",
+      required: ["generated_at", "items"],
+      properties: {
+        generated_at: { type: "datetime" },
+        items: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["title"],
+            properties: {
+              title: { type: "string" },
+              authors: { type: "string" },
+              venue: { type: "string" },
+              year: { type: "year" },
+              citations: { type: "numeric" },
+              url: { type: "url" },
+              doi: { type: "doi" },
+              pmid: { type: "pmid" },
+              pmcid: { type: "pmcid" },
+              sources: stringList
+            }
+          }
+        }
+      }
+    }
+  };
+
+  const check = (name, payload) => {
+    const schema = schemas[name];
+    if (!schema) throw new Error(`Unknown schema: ${name}`);
+    return validate(payload, schema);
+  };
+
+  return { schemas, validate, check };
+});
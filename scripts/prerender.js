@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+// Writes the live sections into the rendered site, so pages have their profile, lists, work
+// history and publications without JavaScript. Uses the renderers live-data.js runs in the
+// browser (assets/js/live-render.js, and live-cite.js for citation styles) on data/crawl/*.json
+// and data/profile.yml; the browser then refreshes the content in place. Run after `quarto render`.
+// Usage: node scripts/prerender.js [site-dir]   (default: docs)
+const fs = require("fs");
+const path = require("path");
+const LiveSchema = require("../assets/js/live-schema.js");
+const LiveRender = require("../assets/js/live-render.js");
+const LiveCite = require("../assets/js/live-cite.js");
+const yaml = require("../assets/js/vendor/js-yaml.min.js");
+
+const ROOT = path.resolve(__dirname, "..");
+const siteDir = path.resolve(ROOT, process.argv[2] || "docs");
+
+// The first of `files` that exists, parsed
+const readFirst = (files) => {
+  for (const file of files) {
+    const full = path.join(ROOT, file);
+    if (!fs.existsSync(full)) continue;
+    const text = fs.readFileSync(full, "utf8");
+    return { file, data: /\.ya?ml$/.test(file) ? yaml.load(text) : JSON.parse(text) };
+  }
+  return null;
+};
+
+// Validated like the browser does: invalid parts are dropped, a broken payload is skipped
+const readPayload = (schema, files) => {
+  const found = readFirst(files);
+  if (!found) {
+    console.warn(`No ${schema} data found (${files.join(", ")})`);
+    return null;
+  }
+  const checked = LiveSchema.check(schema, found.data);
+  if (checked.value === undefined || checked.incomplete) {
+    console.warn(`${found.file} does not match the ${schema} schema; skipping its sections`);
+    return null;
+  }
+  if (checked.errors.length) {
+    console.warn(`${found.file}: ${checked.errors.length} schema violation(s) left out of the page`);
+  }
+  return checked.value;
+};
+
+const payloads = {
+  crawl: readPayload("crawl", ["data/crawl/crawl.json", "data/crawl/crawl.yml"]),
+  publications: readPayload("publications", ["data/crawl/publications.json", "data/crawl/publications.yml"]),
+  profile: (readFirst(["data/profile.yml"]) || {}).data || null
+};
+
+const decodeEntities = (value) => value
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+  .replace(/&quot;/g, "\"")
+  .replace(/&lt;/g, "<")
+  .replace(/&gt;/g, ">")
+  .replace(/&amp;/g, "&");
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(tag))) {
+    const value = match[2] ?? match[3] ?? match[4];
+    attributes[match[1].toLowerCase()] = value === undefined ? "" : decodeEntities(value);
+  }
+  return attributes;
+};
+
+// Text of the <script type="application/json"> with this id
+const jsonScript = (html, id) => {
+  const escaped = id.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const match = html.match(new RegExp(`<script\\b[^>]*\\bid=["']${escaped}["'][^>]*>([\\s\\S]*?)</script>`));
+  if (!match) return undefined;
+  try {
+    return JSON.parse(match[1]);
+  } catch (err) {
+    console.warn(`Invalid JSON in #${id}: ${err.message}`);
+    return undefined;
+  }
+};
+
+// Same lookup as jsonAttribute() in live-data.js: inline JSON or "#id" of a script block
+const jsonAttribute = (html, value) => {
+  if (!value) return undefined;
+  if (value.startsWith("#")) return jsonScript(html, value.slice(1));
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return undefined;
+  }
+};
+
+// Live sections in a page: <div> elements with a known id or data-live-list, each with the
+// offsets of its opening tag and matching </div>
+const SECTION_IDS = ["live-profile", "live-history", "live-publications"];
+
+const findSections = (html) => {
+  const sections = [];
+  const openPattern = /<div\b([^>]*)>/gi;
+  let match;
+  while ((match = openPattern.exec(html))) {
+    const attributes = parseAttributes(match[1]);
+    if (!SECTION_IDS.includes(attributes.id) && !("data-live-list" in attributes)) continue;
+    if (attributes["data-prerender"] === "false") continue;
+    const tagPattern = /<div\b[^>]*>|<\/div\s*>/gi;
+    tagPattern.lastIndex = openPattern.lastIndex;
+    let depth = 1;
+    let tag;
+    while (depth > 0 && (tag = tagPattern.exec(html))) {
+      depth += tag[0].startsWith("</") ? -1 : 1;
+    }
+    if (depth > 0) {
+      console.warn(`Unbalanced <div> after #${attributes.id || "list"}; left as is`);
+      continue;
+    }
+    sections.push({
+      attributes,
+      start: match.index,
+      contentStart: openPattern.lastIndex,
+      contentEnd: tag.index,
+      end: tagPattern.lastIndex
+    });
+    openPattern.lastIndex = tagPattern.lastIndex;
+  }
+  return sections;
+};
+
+// Markup for one section, or null when its data is missing
+const renderSection = (html, attributes, config) => {
+  const setting = (name, fallback = "") => (name in attributes ? attributes[name] : fallback);
+  const locale = config.locale || "en-GB";
+
+  if ("data-live-list" in attributes) {
+    const payload = setting("data-payload", "crawl");
+    const data = payloads[payload];
+    if (!data) return null;
+    return {
+      data,
+      html: LiveRender.sections.list(data, {
+        path: setting("data-path"),
+        format: setting("data-item", "text"),
+        defaults: jsonAttribute(html, attributes["data-defaults"]) || [],
+        emptyText: setting("data-empty-text", "Nothing to show yet.")
+      })
+    };
+  }
+
+  if (attributes.id === "live-profile") {
+    if (!payloads.crawl) return null;
+    const defaults = config.profile || {};
+    const links = config.links || {};
+    return {
+      data: payloads.crawl,
+      html: LiveRender.sections.profile(payloads.crawl, {
+        localProfile: payloads.profile || {},
+        role: setting("data-profile-role", defaults.role),
+        photo: setting("data-default-photo", defaults.photo_url),
+        photoAlt: setting("data-default-photo-alt", defaults.photo_alt) || "Profile photo",
+        links: {
+          scholar: setting("data-link-scholar", links.scholar),
+          orcid: setting("data-link-orcid", links.orcid),
+          github: setting("data-link-github", links.github)
+        },
+        locale
+      })
+    };
+  }
+
+  if (attributes.id === "live-history") {
+    return payloads.crawl ? { data: payloads.crawl, html: LiveRender.sections.workHistory(payloads.crawl) } : null;
+  }
+
+  if (attributes.id === "live-publications") {
+    if (!payloads.publications) return null;
+    // In the order the browser toolbar starts with, so the list does not jump when it loads
+    const sort = setting("data-sort", "year");
+    const group = setting("data-group");
+    const style = setting("data-citation-style");
+    const row = style in LiveCite.styles ? LiveCite.styledRow(style) : undefined;
+    return { data: payloads.publications, html: LiveRender.sections.publications(payloads.publications, { sort, group, row }) };
+  }
+
+  return null;
+};
+
+// Opening tag with data-prerendered set to the payload's generated_at
+const markPrerendered = (openTag, generatedAt) => {
+  const attribute = `data-prerendered="${LiveRender.escapeHtml(generatedAt || "")}"`;
+  const cleaned = openTag.replace(/\sdata-prerendered(="[^"]*"|='[^']*')?/i, "");
+  return cleaned.replace(/\s*>$/, ` ${attribute}>`);
+};
+
+const prerenderPage = (file) => {
+  const html = fs.readFileSync(file, "utf8");
+  const config = jsonScript(html, "live-data-config") || {};
+  const sections = findSections(html);
+  const done = [];
+  let output = html;
+  // Back to front, so earlier offsets stay valid
+  sections.slice().reverse().forEach((section) => {
+    const rendered = renderSection(html, section.attributes, config);
+    if (!rendered) return;
+    const openTag = html.slice(section.start, section.contentStart);
+    output = output.slice(0, section.start)
+      + markPrerendered(openTag, rendered.data.generated_at)
+      + `\n${rendered.html.trim()}\n`
+      + output.slice(section.contentEnd);
+    done.unshift(section.attributes.id || `[data-path=${section.attributes["data-path"]}]`);
+  });
+  if (output !== html) fs.writeFileSync(file, output);
+  return done;
+};
+
+if (!fs.existsSync(siteDir)) {
+  console.error(`Site directory not found: ${path.relative(ROOT, siteDir)}`);
+  process.exitCode = 1;
+} else {
+  fs.readdirSync(siteDir)
+    .filter((name) => name.endsWith(".html"))
+    .forEach((name) => {
+      const file = path.join(siteDir, name);
+      const done = prerenderPage(file);
+      if (done.length) console.log(`${path.relative(ROOT, file)}: ${done.join(", ")}`);
+    });
+}
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// Adds a site search record for every publication, work-history entry and repository to the
+// search.json Quarto writes, each linking to the item's id in the page, and drops the
+// "Loading ..." placeholder text the live sections leave in the index. Run after
+// `quarto render`. Repositories come from the GitHub API (GITHUB_TOKEN is used when set)
+// and are skipped when it cannot be reached.
+// Usage: node scripts/search-index.js [site-dir]   (default: docs)
+const fs = require("fs");
+const path = require("path");
+const LiveSchema = require("../assets/js/live-schema.js");
+const LiveRender = require("../assets/js/live-render.js");
+const yaml = require("../assets/js/vendor/js-yaml.min.js");
+
+const ROOT = path.resolve(__dirname, "..");
+const siteDir = path.resolve(ROOT, process.argv[2] || "docs");
+const indexFile = path.join(siteDir, "search.json");
+
+const PAGES = {
+  publications: "publications.html",
+  workHistory: "index.html",
+  repos: "projects.html"
+};
+
+const KINDS = [LiveRender.items.publication, LiveRender.items.workHistory, LiveRender.items.repo];
+
+// Records this script wrote on an earlier run: exactly one of its pages, then an item id.
+// Quarto's own records (headings such as index.html#work-history) never match.
+const GENERATED = new RegExp(`^(${Object.values(PAGES).map((page) => page.replace(/\./g, "\\.")).join("|")})`
+  + `#(${KINDS.map((kind) => kind.prefix).join("|")})-`);
+const PLACEHOLDER = /^Loading [^\n]*(…|\.\.\.)\s*$/gm;
+
+const readJson = (file) => {
+  const full = path.join(ROOT, file);
+  return fs.existsSync(full) ? JSON.parse(fs.readFileSync(full, "utf8")) : null;
+};
+
+const validated = (schema, data) => {
+  if (!data) return null;
+  const checked = LiveSchema.check(schema, data);
+  return checked.value === undefined || checked.incomplete ? null : checked.value;
+};
+
+const text = (...parts) => parts.filter((part) => part !== undefined && part !== null && String(part).trim()).join("\n");
+
+const records = (items, kind, page, title, toRecord) => LiveRender.itemFields(items, kind).map((fields) => ({
+  objectID: `${page}#${fields.anchor}`,
+  href: `${page}#${fields.anchor}`,
+  title,
+  ...toRecord(fields)
+}));
+
+const fetchRepos = async (user) => {
+  const url = `https://api.github.com/users/${encodeURIComponent(user)}/repos?per_page=12&sort=updated`;
+  try {
+    const headers = { Accept: "application/vnd.github+json" };
+    if (process.env.GITHUB_TOKEN) headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+    const res = await fetch(url, {
+      headers,
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const repos = await res.json();
+    return Array.isArray(repos) ? repos.filter((repo) => !repo.fork) : [];
+  } catch (err) {
+    console.warn(`Repositories not indexed (${url}): ${err.message}`);
+    return [];
+  }
+};
+
+const main = async () => {
+  if (!fs.existsSync(indexFile)) {
+    console.error(`Search index not found: ${path.relative(ROOT, indexFile)}`);
+    process.exitCode = 1;
+    return;
+  }
+  const index = JSON.parse(fs.readFileSync(indexFile, "utf8"));
+  const pageTitle = (page, fallback) => (index.find((record) => record.href === page) || {}).title || fallback;
+
+  const kept = index
+    .filter((record) => !GENERATED.test(record.href || ""))
+    .map((record) => ({ ...record, text: String(record.text || "").replace(PLACEHOLDER, "").trim() }));
+
+  const crawl = validated("crawl", readJson("data/crawl/crawl.json"));
+  const publications = validated("publications", readJson("data/crawl/publications.json"));
+  const sections = yaml.load(fs.readFileSync(path.join(ROOT, "data/sections.yml"), "utf8")) || {};
+  const githubUser = sections.links && sections.links.github_user;
+
+  const added = [
+    ...records(publications ? publications.items : [], LiveRender.items.publication, PAGES.publications,
+      pageTitle(PAGES.publications, "Publications"),
+      (fields) => ({ section: fields.title, text: text(fields.authors, fields.venue, fields.year, fields.doi) })),
+    ...records(crawl && crawl.work_history ? crawl.work_history : [], LiveRender.items.workHistory, PAGES.workHistory,
+      pageTitle(PAGES.workHistory, "Work history"),
+      (fields) => ({ section: "Work history", text: text([fields.role, fields.organization].filter(Boolean).join(", "), fields.range) })),
+    ...records(githubUser ? await fetchRepos(githubUser) : [], LiveRender.items.repo, PAGES.repos,
+      pageTitle(PAGES.repos, "Projects"),
+      (fields) => ({ section: fields.name, text: text(fields.description, fields.topics.join(", ")) }))
+  ];
+
+  fs.writeFileSync(indexFile, `${JSON.stringify([...kept, ...added], null, 2)}\n`);
+  const counts = KINDS.map((kind) => added.filter((record) => record.href.includes(`#${kind.prefix}-`)).length);
+  console.log(`${path.relative(ROOT, indexFile)}: ${counts[0]} publications, ${counts[1]} work history entries, ${counts[2]} repositories`);
+};
+
+main();
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// Checks the crawl outputs against the schemas live-data.js applies in the browser.
+// Usage: node scripts/validate-data.js [file:schema ...]   (.json or .yml files)
+const fs = require("fs");
+const path = require("path");
+const LiveSchema = require("../assets/js/live-schema.js");
+const yaml = require("../assets/js/vendor/js-yaml.min.js");
+
+const DEFAULT_TARGETS = [
+  "data/crawl/crawl.json:crawl",
+  "data/crawl/crawl.yml:crawl",
+  "data/crawl/publications.json:publications",
+  "data/crawl/publications.yml:publications"
+];
+
+const parse = (file) => {
+  const text = fs.readFileSync(file, "utf8");
+  if (/\.ya?ml$/.test(file)) {
+    return yaml.load(text);
+  }
+  return JSON.parse(text);
+};
+
+const targets = process.argv.slice(2).length ? process.argv.slice(2) : DEFAULT_TARGETS;
+let failed = false;
+
+for (const target of targets) {
+  const separator = target.lastIndexOf(":");
+  const file = target.slice(0, separator);
+  const schema = target.slice(separator + 1);
+  const label = path.relative(process.cwd(), path.resolve(file));
+  let errors;
+  try {
+    errors = LiveSchema.check(schema, parse(file)).errors;
+  } catch (err) {
+    errors = [{ path: "", message: err.message }];
+  }
+  if (errors.length) {
+    failed = true;
+    console.error(`${label} (${schema}): ${errors.length} violation(s)`);
+    errors.forEach((error) => console.error(`  ${error.path || "<root>"}: ${error.message}`));
+  } else {
+    console.log(`${label} (${schema}): ok`);
+  }
+}
+
+process.exitCode = failed ? 1 : 0;